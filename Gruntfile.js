@@ -145,7 +145,8 @@ module.exports = function(grunt) {
             files: [
                 'client/app/**/*.js',
                 'server/app/**/*.js',
-                'shared/**/*.js'
+                'shared/**/*.js',
+                'test/**/*.js'
             ],
             options: {
                 jshintrc: '.jshintrc'
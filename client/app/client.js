@@ -2,26 +2,35 @@
 
 var $ = require('jquery')
     , game = require('./game')
+    , sessionToken = null
     , primus;
 
 // TODO this should not be a console.log messages
 //console.log('connecting to server ...');
 
-/* global Primus */
-primus = Primus.connect();
+/* global Primus, window */
+// pass the query string along so that a specific room can be requested (e.g. ?room=foo)
+primus = Primus.connect(window.location.href);
 
-// TODO this should not be a console.log messages
+// event handler for when the connection is established (this also happens after reconnecting)
 primus.on('open', function() {
-    //console.log('connection established');
+    // a new connection always starts out with json, the protocol is chosen again once the game is running
+    primus.codec = null;
+
+    // let the server know if we want to resume the session from the previous connection
+    primus.emit('client.join', sessionToken);
 });
 
 function run(config, debug) {
     // set debug as a global variable
     global.DEBUG = debug;
 
-    // remove the canvas if it was already created
+    // remember the session so that we can resume it if the connection is lost
+    sessionToken = config.sessionToken;
+
+    // remove the canvas (and the queue message) if it was already created
     // this may happen if the server gets restarted mid-game
-    $('canvas').remove();
+    $('#game').empty();
 
     // run the game
     game.run(primus, config);
@@ -30,12 +39,28 @@ function run(config, debug) {
 // event handler for initializing the client
 primus.on('client.init', run);
 
+// event handler for when the client was put in the wait queue for a room
+primus.on('client.queue', function(position, roomId) {
+    $('#game').text('Waiting to join room ' + roomId + ', you are number ' + position + ' in the queue.');
+});
+
+// event handler for when the requested room is not available
+primus.on('client.roomUnavailable', function(roomId) {
+    $('#game').text('Room ' + (roomId || '') + ' is not available, please try again later.');
+});
+
+// event handler for when the client was kicked from the server
+primus.on('client.kick', function(reason) {
+    $('#game').text('You were disconnected from the server: ' + reason);
+});
+
 // event handler for resetting the client
 primus.on('client.reset', function(config, debug) {
-    /* global window */
-    window.location.reload();
+    global.DEBUG = debug;
+    sessionToken = config.sessionToken;
 
-    run(config, debug);
+    // the game is restarted in place so that the assets do not have to be loaded again
+    game.reset(primus, config);
 });
 
 // event handler for when an error has occurred
@@ -8,20 +8,24 @@ var _ = require('lodash')
 /**
  * Flag component class.
  * @class client.components.FlagComponent
- * @classdesc Component that adds flag functionality.
+ * @classdesc Component that adds flag functionality, carried flags are drawn above the head of their carrier.
  * @extends shared.core.Component
  */
 FlagComponent = utils.inherit(ComponentBase, {
     /**
-     * Creates a new component.
+     * Creates a new component.
      * @constructor
+     * @param {shared.utils.EntityHashmap} entities - Entities in the game, used for finding the carrier.
      */
-    constructor: function() {
+    constructor: function(entities) {
         ComponentBase.apply(this);
 
         // internal properties
+        this._entities = entities;
         this._sprite = null;
         this._team = 'neutral';
+        this._carried = false;
+        this._ring = null;
     }
     /**
      * @override
@@ -47,6 +51,79 @@ FlagComponent = utils.inherit(ComponentBase, {
             this._sprite.play('flag', team, 15, true);
             this._team = team;
         }
+
+        this.updateSprite();
+        this.updateRing();
+    }
+    /**
+     * Draws the capture ring around the flag, the ring fills up in the color of the capturing team.
+     * @method client.components.FlagComponent#updateRing
+     */
+    , updateRing: function() {
+        var attrs = this.owner.attrs.get(['captureProgress', 'captureColor', 'contested'])
+            , sprite = this._sprite.get('flag')
+            , ring = this._sprite.get('ring')
+            , radius, segments, angle, i;
+
+        // the ring is centered on the flag sprite, so it moves along with the flag without being redrawn
+        this._sprite.setPosition('ring', {
+            x: sprite.x + sprite.width * (0.5 - sprite.anchor.x)
+            , y: sprite.y + sprite.height * (0.5 - sprite.anchor.y)
+        });
+
+        // the ring is only redrawn when the capture state changes
+        if (_.isEqual(this._ring, attrs)) {
+            return;
+        }
+
+        ring.clear();
+        radius = this.owner.attrs.get('width') * 0.5;
+
+        if (attrs.captureProgress > 0 && attrs.captureColor) {
+            // contested flags are dimmed because nobody makes progress
+            ring.lineStyle(6, parseInt(attrs.captureColor.substr(1), 16), attrs.contested ? 0.4 : 1);
+
+            segments = Math.ceil(attrs.captureProgress * 32);
+
+            for (i = 0; i <= segments; i++) {
+                // start from the top and go clockwise
+                angle = -Math.PI / 2 + Math.PI * 2 * attrs.captureProgress * (i / segments);
+
+                if (i === 0) {
+                    ring.moveTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                } else {
+                    ring.lineTo(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                }
+            }
+        }
+
+        this._ring = attrs;
+    }
+    /**
+     * Updates the position and the size of the flag sprite.
+     * @method client.components.FlagComponent#updateSprite
+     */
+    , updateSprite: function() {
+        var sprite = this._sprite.get('flag')
+            , carrierId = this.owner.attrs.get('carrier')
+            , carried = _.isString(carrierId)
+            , carrier = carried ? this._entities.get(carrierId) : null
+            // follow the carrier itself when it is in sight because its position is smoothed
+            , attrs = (carrier || this.owner).attrs.get(['x', 'y', 'width']);
+
+        if (carried !== this._carried) {
+            // the sprites are sorted by their y-coordinate, so anchoring the carried flag
+            // at the bottom keeps it in front of the carrier
+            sprite.scale.set(carried ? 0.5 : 1);
+            sprite.anchor.set(0, carried ? 1 : 0);
+            this._carried = carried;
+        }
+
+        if (carried) {
+            this._sprite.setPosition('flag', {x: attrs.x + attrs.width * 0.5, y: attrs.y + 1});
+        } else {
+            this._sprite.setPosition('flag', {x: attrs.x, y: attrs.y});
+        }
     }
 });
 
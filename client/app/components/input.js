@@ -17,9 +17,10 @@ InputComponent = utils.inherit(ComponentBase, {
      * Creates a new component.
      * @constructor
      * @param {Phaser.Input} input - Input manager.
+     * @param {number} tickRate - Simulation steps per second.
      */
-    constructor: function(input) {
-        ComponentBase.apply(this);
+    constructor: function(input, tickRate) {
+        ComponentBase.call(this, tickRate);
 
         // internal properties
         this._input = input;
@@ -31,7 +32,6 @@ InputComponent = utils.inherit(ComponentBase, {
         this._lastInputSequence = -1;
         this._lastDirection = 'none';
         this._lastAction = 'none';
-        this._lastSyncAt = null;
     }
     /**
      * @override
@@ -77,13 +77,12 @@ InputComponent = utils.inherit(ComponentBase, {
         this.captureInput(elapsed);
     }
     /**
-     * Captures input from the player.
-     * @method client.components.PlayerComponent#captureInput
-     * @param {number} elasped - Time elapsed since the logic was last updated.
+     * Captures input from the player, called once per simulation step.
+     * @method client.components.InputComponent#captureInput
+     * @param {number} elapsed - Length of the step (in msec).
      */
     , captureInput: function(elapsed) {
-        var now = _.now()
-            , alive = this.owner.attrs.get('alive')
+        var alive = this.owner.attrs.get('alive')
             , command = {sequence: null, keys: []};
 
         // only take input from alive entities
@@ -105,21 +104,15 @@ InputComponent = utils.inherit(ComponentBase, {
                 command.keys.push('space');
             }
 
-            // send the user commands with 10 ms interval
-            // in order to prevent unnecessary network traffic.
-            if (_.isUndefined(this._lastSyncAt) || (now - this._lastSyncAt) > 10) {
-                // add the command to the command history
-                command.sequence = this._sequence++;
-                this._commands.add(command);
+            // add the command to the command history
+            command.sequence = this._sequence++;
+            this._commands.add(command);
 
-                // apply input prediction
-                this.owner.attrs.set(this.processCommand(command));
+            // apply input prediction (one command per tick, the server does the same)
+            this.owner.attrs.set(this.processCommand(command));
 
-                // send the input to the server
-                this._io.spark.emit('player.input', command);
-
-                this._lastSyncAt = now;
-            }
+            // send the input to the server
+            this._io.spark.emit('player.input', command);
         }
     }
 });
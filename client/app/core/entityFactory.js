@@ -77,7 +77,7 @@ EntityFactory = {
         entity.components.add(new TextComponent(texts));
         entity.components.add(new PlayerComponent());
         entity.components.add(new IoComponent(this.state.primus));
-        entity.components.add(new InputComponent(this.state.input));
+        entity.components.add(new InputComponent(this.state.input, this.state.config.tickRate));
 
         this.state.camera.follow(sprites.player);
 
@@ -109,7 +109,7 @@ EntityFactory = {
 
         body = new Body(data.key, entity);
 
-        entity.components.add(new PhysicsComponent(body, this.state.foo));
+        entity.components.add(new PhysicsComponent(body, this.state.foo, false/* sweep */));
         entity.components.add(new SpriteComponent(sprites));
         entity.components.add(new SoundComponent(sounds));
         entity.components.add(new TextComponent(texts));
@@ -130,13 +130,14 @@ EntityFactory = {
 
         sprites = {
             flag: this.state.entityGroup.create(data.attrs.x, data.attrs.y, data.attrs.image)
+            , ring: this.state.add.graphics(data.attrs.x, data.attrs.y)
         };
 
         body = new Body(data.key, entity);
 
-        entity.components.add(new PhysicsComponent(body, this.state.foo));
+        entity.components.add(new PhysicsComponent(body, this.state.foo, false/* sweep */));
         entity.components.add(new SpriteComponent(sprites));
-        entity.components.add(new FlagComponent());
+        entity.components.add(new FlagComponent(this.state.entities));
         entity.components.add(new SyncComponent());
 
         return entity;
@@ -40,6 +40,43 @@ SnapshotHistory = utils.inherit(ListBase, {
     , removeExpired: function(expireTime) {
         this.filter(function(item) { return item.receivedAt > expireTime; }, true);
     }
+    /**
+     * Estimates the difference between the client clock and the server clock (including latency).
+     * @method shared.utils.SnapshotHistory#calculateClockOffset
+     * @return {number} Offset (in msec).
+     */
+    , calculateClockOffset: function() {
+        var offset = null;
+
+        // the smallest offset is the one least affected by network jitter
+        this.each(function(item) {
+            if (offset === null || item.receivedAt - item.createdAt < offset) {
+                offset = item.receivedAt - item.createdAt;
+            }
+        }, this);
+
+        return offset || 0;
+    }
+    /**
+     * Returns the two snapshots that were created right before and after the given time.
+     * @method shared.utils.SnapshotHistory#findAround
+     * @param {number} time - Time (on the server clock).
+     * @return {object|null} Object with the previous and next snapshots, or null if not found.
+     */
+    , findAround: function(time) {
+        var previous, next, i;
+
+        for (i = this._items.length - 1; i > 0; i--) {
+            previous = this._items[i - 1];
+            next = this._items[i];
+
+            if (previous.createdAt <= time && next.createdAt >= time) {
+                return {previous: previous, next: next};
+            }
+        }
+
+        return null;
+    }
     /**
      * Returns the snapshot previous to the latest one.
      * @method shared.utils.SnapshotHistory#previous
@@ -3,22 +3,31 @@
 var _ = require('lodash')
     , utils = require('../../shared/utils')
     , List = require('../../shared/utils/list')
+    , Node = require('../../shared/core/node')
     , Wall = require('../../shared/core/wall')
     , Snapshot = require('../../shared/core/snapshot')
+    , Codec = require('../../shared/core/codec')
     , SnapshotHistory = require('./core/snapshotHistory')
     , World = require('../../shared/physics/world')
     , Body = require('../../shared/physics/body')
     , EntityHashmap = require('../../shared/utils/entityHashmap')
+    , FixedTimestep = require('../../shared/utils/fixedTimestep')
     , EntityFactory = require('./core/entityFactory')
     , TextManager = require('./ui/textManager')
-    , InputComponent = require('./components/input');
+    , NotificationFeed = require('./ui/notificationFeed')
+    , Scoreboard = require('./ui/scoreboard')
+    , InputComponent = require('./components/input')
+    , game = null
+    , music = null
+    , assetsLoaded = false;
 
 /**
- * Runs the game.
+ * Creates the play state for a game.
  * @param {Primus.Client} primus - Client instance.
  * @param {object} config - Game configuration.
+ * @return {client.PlayState} State instance.
  */
-function run(primus, config) {
+function createState(primus, config) {
     /**
      * Play state class.
      * @class client.PlayState
@@ -35,10 +44,18 @@ function run(primus, config) {
              * @property {Primus.Client} primus - Primus client instance.
              */
             this.primus = primus;
+            /**
+             * @property {object} config - Game configuration.
+             */
+            this.config = config;
             /**
              * @property {shared.EntityHashmap} entities - Map over entities in the state.
              */
             this.entities = new EntityHashmap();
+            /**
+             * @property {shared.core.Node} events - Dispatcher for the gameplay events received from the server.
+             */
+            this.events = new Node();
             /**
              * @property {shared.core.Entity} player - Player entity.
              */
@@ -46,7 +63,11 @@ function run(primus, config) {
             /**
              * @property {shared.physics.World} foo - World instance.
              */
-            this.foo = new World(config.gameWidth, config.gameHeight);
+            this.foo = new World(config.gameWidth, config.gameHeight, config.gameTileSize);
+            /**
+             * @property {shared.core.Codec|null} codec - Codec for the binary protocol, or null when using json.
+             */
+            this.codec = this.createCodec();
             /**
              * @property {Phaser.Group} entityGroup - Entity group instance.
              */
@@ -62,16 +83,57 @@ function run(primus, config) {
             this._snapshotsReceived = new List();
             this._music = null;
             this._lastSyncAt = null;
-            this._lastTickAt = null;
+            this._timestep = new FixedTimestep(config.tickRate);
+            this._extrapolating = false;
+            this._renderedPositions = {};
+            this._corrections = {};
             this._snapshots = new SnapshotHistory(1000);
             this._snapshot = new Snapshot();
             this._texts = new TextManager();
+            this._notifications = null;
+            this._scoreboard = null;
+            this._gameResetAt = null;
+            this._overtimeSec = 0;
+            this._scores = null;
+            this._scoreKey = null;
             this._entityIds = new List();
+            this._statics = _.clone(config.gameSnapshot.statics);
+            this._lastEventSequence = -1;
+            this._primusHandlers = {};
 
             // add the first snapshot manually and set it as the active snapshot
             this.addSnapshot(config.gameSnapshot);
             this._snapshot.set(config.gameSnapshot);
         }
+        /**
+         * Creates the codec if the server supports the binary protocol.
+         * @method client.PlayState#createCodec
+         * @return {shared.core.Codec|null} Codec instance, or null if json should be used.
+         */
+        , createCodec: function() {
+            var codec = null;
+
+            // json is easier to inspect so we keep using it when debugging
+            if (config.protocol === 'binary' && !DEBUG) {
+                codec = new Codec(config.protocolKeys);
+
+                // the schema differs if this client was built from other sources than the server
+                if (!codec.isSupported() || codec.hash !== config.protocolHash) {
+                    codec = null;
+                }
+            }
+
+            return codec;
+        }
+        /**
+         * Lets the server know which protocol we want to use and starts using it.
+         * @method client.PlayState#chooseProtocol
+         */
+        , chooseProtocol: function() {
+            // the choice itself is sent as json, the server only expects binary data after receiving it
+            primus.emit('client.protocol', this.codec ? 'binary' : 'json');
+            primus.codec = this.codec;
+        }
         /**
          * Adds a new snapshot to the client.
          * @method client.PlayState#addSnapshot
@@ -91,7 +153,11 @@ function run(primus, config) {
             this.log('loading assets ...');
 
             this.load.tilemap(config.mapKey, null, config.mapData, config.mapType);
-            this.loadAssets(game);
+
+            // the assets are kept in the cache between games
+            if (!assetsLoaded) {
+                this.loadAssets(game);
+            }
         }
         /**
          * Loads game assets.
@@ -131,6 +197,8 @@ function run(primus, config) {
         , create: function(game) {
             this.log('creating game ...');
 
+            assetsLoaded = true;
+
             var pauseKey, muteKey;
 
             // remove all existing key bindings (just to be sure)
@@ -166,16 +234,53 @@ function run(primus, config) {
             muteKey = game.input.keyboard.addKey(Phaser.Keyboard.M);
             muteKey.onDown.add(this.onMusicMuted.bind(this));
 
-            // bind event handlers
-            primus.on('pong', this.onPong.bind(this));
-            primus.on('player.create', this.onPlayerCreate.bind(this));
-            primus.on('player.leave', this.onPlayerLeave.bind(this));
-            primus.on('game.sync', this.onGameSync.bind(this));
-            primus.on('game.end', this.onGameEnd.bind(this));
+            // the scoreboard is shown while tab is held down (and tab should not move the focus)
+            this._scoreKey = game.input.keyboard.addKey(Phaser.Keyboard.TAB);
+            this._scoreKey.onDown.add(this.showScores.bind(this));
+            this._scoreKey.onUp.add(this.hideScores.bind(this));
+            game.input.keyboard.addKeyCapture(Phaser.Keyboard.TAB);
+
+            // bind event handlers (these are unbound when the state is shut down)
+            this._primusHandlers = {
+                'pong': this.onPong.bind(this)
+                , 'player.create': this.onPlayerCreate.bind(this)
+                , 'player.leave': this.onPlayerLeave.bind(this)
+                , 'game.sync': this.onGameSync.bind(this)
+                , 'game.events': this.onGameEvents.bind(this)
+                , 'game.scores': this.onGameScores.bind(this)
+                , 'game.end': this.onGameEnd.bind(this)
+                , 'client.resume': this.onClientResume.bind(this)
+                , 'client.warning': this.onClientWarning.bind(this)
+            };
+
+            _.forOwn(this._primusHandlers, function(handler, event) {
+                primus.on(event, handler);
+            }, this);
+
+            this.events.on('player.killed', this.onPlayerKilled.bind(this));
+            this.events.on('flag.captured', this.onFlagCaptured.bind(this));
+            this.events.on('flag.taken', this.onFlagTaken.bind(this));
+            this.events.on('flag.dropped', this.onFlagDropped.bind(this));
+            this.events.on('flag.returned', this.onFlagReturned.bind(this));
+            this.events.on('points.awarded', this.onPointsAwarded.bind(this));
+            this.events.on('game.overtime', this.onGameOvertime.bind(this));
 
-            // let the server know that client is ready
+            // let the server know which protocol we want to use and that the client is ready
+            this.chooseProtocol();
             primus.emit('client.ready');
         }
+        /**
+         * Shuts down the state, called when the state is replaced for a new game.
+         * @method client.PlayState#shutdown
+         * @param {Phaser.Game} game - Game instance.
+         */
+        , shutdown: function(game) {
+            _.forOwn(this._primusHandlers, function(handler, event) {
+                primus.removeListener(event, handler);
+            }, this);
+
+            this._primusHandlers = {};
+        }
         /**
          * Creates the map.
          * @method client.PlayState#createMap
@@ -211,8 +316,20 @@ function run(primus, config) {
          * @method client.PlayState#createMusic
          */
         , createMusic: function() {
-            this._music = this.add.audio(config.mapMusic, 0.1/* volume */, true/* loop */);
-            this._music.play();
+            // the music keeps playing between games unless the map has different music
+            if (music && music.key !== config.mapMusic) {
+                music.stop();
+                music = null;
+            }
+
+            if (!music) {
+                music = this.add.audio(config.mapMusic, 0.1/* volume */, true/* loop */);
+            }
+            if (!music.isPlaying) {
+                music.play();
+            }
+
+            this._music = music;
         }
         /**
          * Creates the texts for the client.
@@ -260,25 +377,148 @@ function run(primus, config) {
             text.fixedToCamera = true;
             this._texts.add('playersOnline', text);
 
-            text = this.add.text(config.canvasWidth - 10, 10, config.gameName + ' ' + config.gameVersion, style);
+            text = this.add.text(config.canvasWidth - 10, 10, config.gameName + ' ' + config.gameVersion + ' - ' + config.gameMode.name, style);
             text.anchor.x = 1;
             text.fixedToCamera = true;
 
-            style = {font: '24px Courier', stroke: '#000', strokeThickness: 5, fill: '#fff', align: 'center'};
+            // kills, captures and points are shown below the game name
+            this._notifications = new NotificationFeed(this, config.canvasWidth - 10, 40);
 
-            text = this.add.text(config.canvasWidth / 2, config.canvasHeight / 2, '', style);
-            text.anchor.setTo(0.5, 0.5);
-            text.fixedToCamera = true;
-            this._texts.add('gameResult', text);
+            // the results are shown when the game ends
+            this._scoreboard = new Scoreboard(this, config.canvasWidth, config.canvasHeight);
         }
         /**
          * Event handler for synchronizing the game state from the server.
          * @method client.PlayState#onGameSync
-         * @param {object} snapshot - Snapshot object.
+         * @param {object} data - Snapshot object.
          */
-        , onGameSync: function(snapshot) {
+        , onGameSync: function(data) {
+            var snapshot, base;
+
+            // static attributes are only sent once so we need to keep them around
+            _.extend(this._statics, data.statics);
+            data = _.omit(data, 'statics');
+
+            snapshot = data;
+
+            // rebuild the full snapshot if we only received what has changed
+            if (this._snapshot.isDelta(data)) {
+                base = this.findSnapshot(data.baseSequence);
+
+                // the base snapshot has already expired, ask for a full snapshot
+                if (!base) {
+                    primus.emit('game.resync');
+                    return;
+                }
+
+                snapshot = base.patch(data).serialize();
+            }
+
             this.addSnapshot(snapshot);
             this._lastSyncAt = snapshot.receivedAt;
+
+            // let the server know which snapshot we have so that it can send deltas
+            primus.emit('game.ack', snapshot.sequence);
+        }
+        /**
+         * Event handler for receiving gameplay events from the server.
+         * @method client.PlayState#onGameEvents
+         * @param {array} events - List of events.
+         */
+        , onGameEvents: function(events) {
+            _.each(events, function(event) {
+                // events may be sent again if our acknowledgement did not make it in time
+                if (event.sequence > this._lastEventSequence) {
+                    this.log('event', event.type, event.data);
+                    this.events.trigger(event.type, event.data, event);
+                    this._lastEventSequence = event.sequence;
+                }
+            }, this);
+
+            // let the server know which events we have so that it does not send them again
+            primus.emit('game.eventAck', this._lastEventSequence);
+        }
+        /**
+         * Event handler for when a player was killed.
+         * @method client.PlayState#onPlayerKilled
+         * @param {object} data - Event data.
+         */
+        , onPlayerKilled: function(data) {
+            var victim = this.entities.get(data.victim.id);
+
+            if (victim) {
+                victim.components.get('sound').play('die');
+            }
+
+            this._notifications.push(data.killer.name + ' killed ' + data.victim.name, data.killer.teamColor);
+        }
+        /**
+         * Event handler for when a flag was captured.
+         * @method client.PlayState#onFlagCaptured
+         * @param {object} data - Event data.
+         */
+        , onFlagCaptured: function(data) {
+            this._notifications.push(data.player.name + ' captured a flag for ' + data.to, data.player.teamColor);
+        }
+        /**
+         * Event handler for when a flag was picked up.
+         * @method client.PlayState#onFlagTaken
+         * @param {object} data - Event data.
+         */
+        , onFlagTaken: function(data) {
+            this._notifications.push(data.player.name + ' took the ' + data.team + ' flag', data.player.teamColor);
+        }
+        /**
+         * Event handler for when a flag was dropped.
+         * @method client.PlayState#onFlagDropped
+         * @param {object} data - Event data.
+         */
+        , onFlagDropped: function(data) {
+            this._notifications.push(data.player.name + ' dropped the ' + data.team + ' flag', data.player.teamColor);
+        }
+        /**
+         * Event handler for when a flag was returned.
+         * @method client.PlayState#onFlagReturned
+         * @param {object} data - Event data.
+         */
+        , onFlagReturned: function(data) {
+            var team = this._snapshot.teams[data.team];
+
+            this._notifications.push('the ' + data.team + ' flag was returned', team ? team.color : null);
+        }
+        /**
+         * Event handler for when points were awarded.
+         * @method client.PlayState#onPointsAwarded
+         * @param {object} data - Event data.
+         */
+        , onPointsAwarded: function(data) {
+            var reasons = {flags: 'for flags', kill: 'for a kill', capture: 'for a capture', hill: 'for the hill'}
+                , team = this._snapshot.teams[data.team]
+                , text = ' +' + data.points + ' points' + (reasons[data.reason] ? ' ' + reasons[data.reason] : '');
+
+            if (data.player) {
+                this._notifications.push(data.player.name + text, data.player.teamColor);
+            } else {
+                this._notifications.push(data.team + text, team ? team.color : null);
+            }
+        }
+        /**
+         * Returns a specific snapshot from the snapshot history.
+         * @method client.PlayState#findSnapshot
+         * @param {number} sequence - Snapshot sequence.
+         * @return {shared.core.Snapshot|null} Snapshot instance, or null if not found.
+         */
+        , findSnapshot: function(sequence) {
+            var result = null;
+
+            this._snapshots.each(function(data) {
+                if (data.sequence === sequence) {
+                    result = new Snapshot();
+                    result.set(data);
+                }
+            }, this);
+
+            return result;
         }
         /**
          * Event handler for when the game is paused.
@@ -289,10 +529,86 @@ function run(primus, config) {
             this.log(this.paused ? 'game paused' : 'game resumed');
         }
         /**
-         * TODO
+         * Event handler for receiving the scores from the server.
+         * @method client.PlayState#onGameScores
+         * @param {array} scores - List of team scores.
+         */
+        , onGameScores: function(scores) {
+            this._scores = scores;
+
+            // refresh the scoreboard if it is being shown
+            if (this._scoreKey.isDown) {
+                this.showScores();
+            }
+        }
+        /**
+         * Shows the live scoreboard.
+         * @method client.PlayState#showScores
+         */
+        , showScores: function() {
+            // the results take precedence once the game has ended
+            if (this._scores && !this._gameResetAt) {
+                this._scoreboard.show('SCOREBOARD', this._scores);
+            }
+        }
+        /**
+         * Hides the live scoreboard.
+         * @method client.PlayState#hideScores
+         */
+        , hideScores: function() {
+            if (!this._gameResetAt) {
+                this._scoreboard.hide();
+            }
+        }
+        /**
+         * Event handler for when the game ends.
+         * @method client.PlayState#onGameEnd
+         * @param {object} results - Game results.
+         */
+        , onGameEnd: function(results) {
+            var tieBreakers = {flags: 'most flags held', kills: 'most kills', overtime: 'sudden death'}
+                , title;
+
+            if (results.draw) {
+                title = 'DRAW';
+            } else {
+                title = results.winner.toUpperCase() + ' TEAM WON';
+
+                if (results.tieBreaker) {
+                    title += ' (' + (tieBreakers[results.tieBreaker] || results.tieBreaker) + ')';
+                }
+            }
+
+            this._scoreboard.show(title, results.teams);
+            this._gameResetAt = _.now() + results.resetSec * 1000;
+        }
+        /**
+         * Event handler for when the game goes into overtime.
+         * @method client.PlayState#onGameOvertime
+         * @param {object} data - Event data.
+         */
+        , onGameOvertime: function(data) {
+            this._overtimeSec = data.durationSec;
+            this._notifications.push('Sudden death! The first team to break the tie wins', '#fff');
+        }
+        /**
+         * Event handler for when the session has been resumed after losing the connection.
+         * @method client.PlayState#onClientResume
+         */
+        , onClientResume: function() {
+            this.log('connection restored');
+
+            // the new connection starts out with json so the protocol has to be chosen again
+            this.chooseProtocol();
+            this._notifications.push('Reconnected to the server', '#fff');
+        }
+        /**
+         * Event handler for when the server warns about the client misbehaving.
+         * @method client.PlayState#onClientWarning
+         * @param {string} message - Warning message.
          */
-        , onGameEnd: function(winner) {
-            this._texts.changeText('gameResult', winner.toUpperCase() + ' TEAM WON\nGame will restart shortly');
+        , onClientWarning: function(message) {
+            this._notifications.push(message, '#f00');
         }
         /**
          * Event handler for when mute is pressed.
@@ -327,16 +643,15 @@ function run(primus, config) {
          * @param {Phaser.Game} game - Game instance.
          */
         , update: function(game) {
-            var now = _.now()
-                , elapsed = (now - this._lastTickAt) / 1000;
-
             this.updateWorldState();
             this.updateTexts();
-            this.entities.update(elapsed);
+            this._notifications.update();
 
-            this.entityGroup.sort('y', Phaser.Group.SORT_ASCENDING);
+            // simulate the entities in fixed steps (with the same tick rate as the server)
+            // so that predicted movement matches the movement on the server
+            this._timestep.advance(this.entities.update, this.entities);
 
-            this._lastTickAt = now;
+            this.entityGroup.sort('y', Phaser.Group.SORT_ASCENDING);
         }
         /**
          * Updates the game text.
@@ -367,8 +682,13 @@ function run(primus, config) {
                 }
             }
 
-            timeLeftSec = config.gameLengthSec - Math.round(this._snapshot.gameTimeElapsed);
-            this._texts.changeText('gameTimeLeft', 'time left: ' + timeLeftSec + ' sec');
+            timeLeftSec = Math.max(config.gameLengthSec + this._overtimeSec - Math.round(this._snapshot.gameTimeElapsed), 0);
+            this._texts.changeText('gameTimeLeft', (this._overtimeSec ? 'overtime: ' : 'time left: ') + timeLeftSec + ' sec');
+
+            if (this._gameResetAt) {
+                var resetSec = Math.max(Math.ceil((this._gameResetAt - now) / 1000), 0);
+                this._scoreboard.setFooter('next game starts in ' + resetSec + ' sec');
+            }
 
             this._pingSentAt = this._pingSentAt || now;
             if ((now - this._pingSentAt) > 250) {
@@ -377,7 +697,7 @@ function run(primus, config) {
                     ping = 10;
                 }
                 this._texts.changeText('clientPing', 'ping: ' + ping + ' ms');
-                primus.emit('ping', {timestamp: now});
+                primus.emit('ping', {timestamp: now, rtt: this._ping});
                 this._pingSentAt = now;
             }
 
@@ -417,43 +737,60 @@ function run(primus, config) {
          * @method client.PlayState#updateWorldState
          */
         , updateWorldState: function() {
-            // get the latest snapshot from the history
-            // and set it as the active snapshot
-            this._snapshot.set(this._snapshots.last());
-
-            /*
-            if (previousState) {
-                var factor;
-
-                if (config.enableInterpolation && this.canInterpolate()) {
-                    // TODO fix client interpolation
-                    factor = this.calculateInterpolationFactor(previousState, worldState);
-                    worldState = this.interpolateWorldState(previousState, worldState, factor);
-                }
-                else if (config.enableExtrapolation && this.canExtrapolate()) {
-                    // TODO add support for world state extrapolation
-                    factor = 1;
-                    worldState = this.extrapolateWorldState(previousState, worldState, factor);
-                }
+            var latest = this._snapshots.last()
+                , worldState = latest
+                , renderTime = this.calculateRenderTime()
+                , extrapolating = false
+                , snapshots, factor;
+
+            // the latest snapshot is always the active snapshot
+            this._snapshot.set(latest);
+
+            // we (usually) have a snapshot on both sides of the render time to interpolate between
+            snapshots = config.enableInterpolation ? this._snapshots.findAround(renderTime) : null;
+
+            if (snapshots) {
+                factor = this.calculateInterpolationFactor(snapshots.previous, snapshots.next, renderTime);
+                worldState = this.interpolateWorldState(snapshots.previous, snapshots.next, factor);
+            } else if (config.enableExtrapolation && this.canExtrapolate(renderTime)) {
+                // snapshots have stopped arriving, guess where the entities are going
+                worldState = this.extrapolateWorldState(this._snapshots.previous(), latest, renderTime - latest.createdAt);
+                extrapolating = true;
             }
-            */
 
-            var state, entity, sprites, texts, body;
+            worldState = this.correctWorldState(worldState, extrapolating);
+
+            this.syncEntities(worldState.entities, latest.entities);
+        }
+        /**
+         * Synchronizes the client entities with the given entity states.
+         * @method client.PlayState#syncEntities
+         * @param {object} entities - Map of serialized entities to render.
+         * @param {object} latestEntities - Map of serialized entities in the latest snapshot.
+         */
+        , syncEntities: function(entities, latestEntities) {
+            var entity;
+
+            // the local player is predicted and must always be reconciled with the latest state
+            if (this.player && latestEntities[this.player.id]) {
+                entities = _.clone(entities);
+                entities[this.player.id] = latestEntities[this.player.id];
+            }
 
             this.entities.each(function(entity, entityId) {
                 this._entityIds.add(entityId);
             }, this);
 
-            _.forOwn(this._snapshot.entities, function(data, entityId) {
+            _.forOwn(entities, function(data, entityId) {
                 entity = this.entities.get(entityId);
 
                 // if the entity does not exist, we need to create it
                 if (!entity) {
                     this.log('creating new entity', data);
 
-                    // create the entity through the entity factory
+                    // create the entity through the entity factory (with its static attributes)
                     // and add it to the client entities
-                    entity = EntityFactory.create(data);
+                    entity = EntityFactory.create(_.extend({}, data, {attrs: _.extend({}, this._statics[entityId], data.attrs)}));
                     this.entities.add(entityId, entity);
                 }
 
@@ -462,7 +799,7 @@ function run(primus, config) {
                 this._entityIds.remove(entityId);
             }, this);
 
-            // remove all entities that were not included in the last snapshot
+            // remove all entities that were not included in the snapshot
             this._entityIds.each(function(entityId) {
                 entity = this.entities.get(entityId);
                 entity.remove();
@@ -470,76 +807,62 @@ function run(primus, config) {
 
             this._entityIds.clear();
         }
+        /**
+         * Calculates the time (on the server clock) for which remote entities are rendered.
+         * @method client.PlayState#calculateRenderTime
+         * @return {number} Render time.
+         */
+        , calculateRenderTime: function() {
+            var delayMsec = 0;
+
+            // render remote entities slightly in the past when interpolating
+            if (config.enableInterpolation) {
+                delayMsec = config.interpolationMsec || (1000 / config.syncRate) * 2;
+            }
+
+            return _.now() - this._snapshots.calculateClockOffset() - delayMsec;
+        }
         /**
          * Calculates an interpolation factor based on the two given snapshots.
          * @method client.PlayState#calculateInterpolationFactor
          * @param {object} previous - Previous snapshot.
          * @param {object} next - Next snapshot.
+         * @param {number} renderTime - Render time (on the server clock).
          * @return {number} Interpolation factory (a number between 0 and 1).
          */
-        , calculateInterpolationFactor: function(previous, next) {
-            var lerpMsec = (1000 / config.syncRate) * 2
-                , lerpTime = this._lastTickAt - lerpMsec
-                , delta = lerpTime - previous.timestamp
-                , timestep = next.timestamp - previous.timestamp;
+        , calculateInterpolationFactor: function(previous, next, renderTime) {
+            var delta = renderTime - previous.createdAt
+                , timestep = next.createdAt - previous.createdAt;
 
-            return delta / timestep;
+            return timestep > 0 ? Math.min(Math.max(delta / timestep, 0), 1) : 1;
         }
         /**
-         * Returns whether the state can be interpolated.
-         * @method client.PlayState#canInterpolate
+         * Returns whether the state can be extrapolated.
+         * @method client.PlayState#canExtrapolate
+         * @param {number} renderTime - Render time (on the server clock).
          * @return {boolean} The result.
          */
-        , canInterpolate: function() {
-            var endTime = _.now() - (1000 / config.syncRate)
-                , last = this._stateHistory.last();
-
-            return this._stateHistory.size() >= 2 && last.timestamp < endTime;
-        }
-        /**
-          * Returns whether the state can be extrapolated.
-          * @method client.PlayState#canExtrapolate
-          * @return {boolean} The result.
-          */
-        , canExtrapolate: function() {
-            var now = _.now()
-                , startTime = now - (1000 / config.syncRate)
-                , endTime = now - config.extrapolationMsec
-                , last = this._stateHistory.last();
-
-            return this._stateHistory.size() >= 2 && last.timestamp < startTime && last.timestamp > endTime;
+        , canExtrapolate: function(renderTime) {
+            return this._snapshots.size() >= 2 && renderTime > this._snapshots.last().createdAt;
         }
         /**
          * Creates an approximate snapshot of the world state using linear interpolation.
          * @method client.PlayState#interpolateWorldState
          * @param {object} previous - Previous snapshot.
          * @param {object} next - Next snapshot.
+         * @param {number} factor - Interpolation factor.
          * @return {object} Interpolated world state.
          */
         , interpolateWorldState: function(previous, next, factor) {
-            var worldState = _.clone(next)
-                , entityState;
-
-            if (factor >= 0 && factor <= 1) {
-                _.forOwn(next.entities, function(entity, id) {
-                    if (previous.entities[id]) {
-                        entityState = this.interpolateEntityState(
-                            previous.entities[id]
-                            , entity
-                            , factor
-                        );
-                        // TODO Check this "smoothing" is necessary
-                        /*
-                        entityState = this.interpolateEntityState(
-                            previous.entities[id]
-                            , entityState
-                            , 0.3
-                        );
-                        */
-                        worldState.entities[id] = entityState;
-                    }
-                }, this);
-            }
+            var worldState = _.clone(next);
+
+            worldState.entities = _.clone(next.entities);
+
+            _.forOwn(next.entities, function(entity, id) {
+                if (previous.entities[id]) {
+                    worldState.entities[id] = this.interpolateEntityState(previous.entities[id], entity, factor);
+                }
+            }, this);
 
             return worldState;
         }
@@ -548,16 +871,21 @@ function run(primus, config) {
          * @method client.PlayState#interpolateEntityState
          * @param {object} previous - Previous snapshot.
          * @param {object} next - Next snapshot.
+         * @param {number} factor - Interpolation factor.
          * @return {object} Interpolated entity state.
          */
         , interpolateEntityState: function(previous, next, factor) {
             var entityState = _.clone(next)
                 , previousValue;
 
-            _.forOwn(next.attrs, function(value, name) {
+            entityState.attrs = _.clone(next.attrs);
+
+            // only the position is interpolated, other numeric attributes
+            // (e.g. health and timestamps) must not take intermediate values
+            _.each(['x', 'y'], function(name) {
                 previousValue = previous.attrs[name];
-                if (this.canInterpolateValue(previousValue, value)) {
-                    entityState.attrs[name] = utils.lerp(previousValue, value, factor);
+                if (this.canInterpolateValue(previousValue, next.attrs[name])) {
+                    entityState.attrs[name] = utils.lerp(previousValue, next.attrs[name], factor);
                 }
             }, this);
 
@@ -571,19 +899,95 @@ function run(primus, config) {
          * @return {boolean} The result.
          */
         , canInterpolateValue: function(previous, next) {
-            return _.isNumber(next) && !_.isUndefined(previous);
+            // large changes mean that the entity was moved (e.g. respawned), not that it ran there
+            return _.isNumber(next) && _.isNumber(previous) && Math.abs(next - previous) < config.gameTileSize * 2;
         }
         /**
          * Creates an approximate snapshot of the world state using linear extrapolation.
          * @method client.PlayState#extrapolateWorldState
          * @param {object} previous - Previous snapshot.
          * @param {object} next - Next snapshot.
-         * @param {number} factor - Interpolation factor.
-         * @return {object} Interpolated world state.
+         * @param {number} aheadMsec - Time to extrapolate past the next snapshot (in msec).
+         * @return {object} Extrapolated world state.
+         */
+        , extrapolateWorldState: function(previous, next, aheadMsec) {
+            var worldState = _.clone(next)
+                , timestep = next.createdAt - previous.createdAt;
+
+            // we only guess for a limited time, after that the entities stay where they are
+            aheadMsec = Math.min(aheadMsec, config.extrapolationMsec);
+
+            if (timestep <= 0) {
+                return next;
+            }
+
+            worldState.entities = _.clone(next.entities);
+
+            _.forOwn(next.entities, function(entity, id) {
+                if (previous.entities[id]) {
+                    worldState.entities[id] = this.interpolateEntityState(
+                        previous.entities[id]
+                        , entity
+                        , 1 + aheadMsec / timestep/* a factor above one extrapolates */
+                    );
+                }
+            }, this);
+
+            return worldState;
+        }
+        /**
+         * Blends out the error between the extrapolated positions and the real positions
+         * once snapshots arrive again, so that remote entities do not snap into place.
+         * @method client.PlayState#correctWorldState
+         * @param {object} worldState - World state to render.
+         * @param {boolean} extrapolating - Whether the world state was extrapolated.
+         * @return {object} Corrected world state.
          */
-        , extrapolateWorldState: function(previous, next, factor) {
-            // TODO implement extrapolation
-            return next;
+        , correctWorldState: function(worldState, extrapolating) {
+            var now = _.now()
+                , entities = _.clone(worldState.entities)
+                , progress, correction, rendered;
+
+            // real data has returned, remember how far off the guesses were
+            if (this._extrapolating && !extrapolating) {
+                _.forOwn(entities, function(entity, id) {
+                    rendered = this._renderedPositions[id];
+                    if (rendered && this.canInterpolateValue(rendered.x, entity.attrs.x) && this.canInterpolateValue(rendered.y, entity.attrs.y)) {
+                        this._corrections[id] = {
+                            x: rendered.x - entity.attrs.x
+                            , y: rendered.y - entity.attrs.y
+                            , startedAt: now
+                        };
+                    }
+                }, this);
+            }
+
+            this._extrapolating = extrapolating;
+            this._renderedPositions = {};
+
+            _.forOwn(entities, function(entity, id) {
+                correction = this._corrections[id];
+
+                if (correction) {
+                    progress = (now - correction.startedAt) / config.correctionMsec;
+
+                    if (progress < 1) {
+                        entity = entities[id] = _.clone(entity);
+                        entity.attrs = _.clone(entity.attrs);
+                        entity.attrs.x += correction.x * (1 - progress);
+                        entity.attrs.y += correction.y * (1 - progress);
+                    } else {
+                        delete this._corrections[id];
+                    }
+                }
+
+                this._renderedPositions[id] = {x: entity.attrs.x, y: entity.attrs.y};
+            }, this);
+
+            worldState = _.clone(worldState);
+            worldState.entities = entities;
+
+            return worldState;
         }
         /**
          * Logs the a message to the console.
@@ -595,8 +999,25 @@ function run(primus, config) {
          }
     });
 
+    return new PlayState();
+}
+
+/**
+ * Runs the game.
+ * @param {Primus.Client} primus - Client instance.
+ * @param {object} config - Game configuration.
+ */
+function run(primus, config) {
+    // the canvas has been removed if the game was already running (e.g. the server was restarted)
+    if (game) {
+        game.destroy();
+    }
+
+    music = null;
+    assetsLoaded = false;
+
     // create the actual game
-    var game = new Phaser.Game(
+    game = new Phaser.Game(
         config.canvasWidth
         , config.canvasHeight
         , Phaser.CANVAS
@@ -606,9 +1027,25 @@ function run(primus, config) {
         , false/* antialias */
     );
 
-    game.state.add('play', new PlayState(), true/* autostart */);
+    game.state.add('play', createState(primus, config), true/* autostart */);
+}
+
+/**
+ * Starts a new game in the game that is already running.
+ * @param {Primus.Client} primus - Client instance.
+ * @param {object} config - Game configuration.
+ */
+function reset(primus, config) {
+    if (!game) {
+        run(primus, config);
+        return;
+    }
+
+    // replacing the play state shuts down the current state
+    game.state.add('play', createState(primus, config), true/* autostart */);
 }
 
 module.exports = {
     run: run
+    , reset: reset
 };
@@ -0,0 +1,92 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , List = require('../../../shared/utils/list')
+    , NotificationFeed;
+
+/**
+ * Notification feed class.
+ * @class client.ui.NotificationFeed
+ * @classdesc Scrolling list of short messages that fade out after a while (e.g. kills and captures).
+ */
+NotificationFeed = utils.inherit(null, {
+    /**
+     * Creates a new feed.
+     * @constructor
+     * @param {Phaser.State} state - State instance.
+     * @param {number} x - Right edge of the feed (relative to the camera).
+     * @param {number} y - Top edge of the feed (relative to the camera).
+     * @param {object} options - Feed options (maxSize, lifetimeMsec, fadeMsec and lineHeight).
+     */
+    constructor: function(state, x, y, options) {
+        options = options || {};
+
+        // internal properties
+        this._state = state;
+        this._x = x;
+        this._y = y;
+        this._maxSize = options.maxSize || 5;
+        this._lifetimeMsec = options.lifetimeMsec || 5000;
+        this._fadeMsec = options.fadeMsec || 1000;
+        this._lineHeight = options.lineHeight || 20;
+        this._notifications = new List();
+    }
+    /**
+     * Adds a message to the top of the feed.
+     * @method client.ui.NotificationFeed#push
+     * @param {string} message - Message to show.
+     * @param {string} color - Text color, defaults to white.
+     */
+    , push: function(message, color) {
+        var style = {font: '14px Courier', stroke: '#000', strokeThickness: 5, fill: color || '#fff'}
+            , text = this._state.add.text(this._x, this._y - this._lineHeight, message, style);
+
+        text.anchor.x = 1;
+        text.fixedToCamera = true;
+
+        this._notifications.add({text: text, createdAt: _.now()});
+
+        // make room for the new message by removing the oldest one
+        if (this._notifications.size() > this._maxSize) {
+            this.remove(this._notifications.first());
+        }
+    }
+    /**
+     * Moves the messages into place and fades out the old ones.
+     * @method client.ui.NotificationFeed#update
+     */
+    , update: function() {
+        var now = _.now()
+            , size = this._notifications.size()
+            , expired = []
+            , age, targetY;
+
+        this._notifications.each(function(notification, index) {
+            age = now - notification.createdAt;
+
+            if (age > this._lifetimeMsec) {
+                expired.push(notification);
+                return;
+            }
+
+            // the newest message is at the top, older messages slide down
+            targetY = this._y + (size - 1 - index) * this._lineHeight;
+            notification.text.cameraOffset.y += (targetY - notification.text.cameraOffset.y) * 0.25;
+            notification.text.alpha = Math.min((this._lifetimeMsec - age) / this._fadeMsec, 1);
+        }, this);
+
+        _.each(expired, this.remove, this);
+    }
+    /**
+     * Removes a message from the feed.
+     * @method client.ui.NotificationFeed#remove
+     * @param {object} notification - Notification object.
+     */
+    , remove: function(notification) {
+        notification.text.destroy();
+        this._notifications.remove(notification);
+    }
+});
+
+module.exports = NotificationFeed;
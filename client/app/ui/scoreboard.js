@@ -0,0 +1,155 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , List = require('../../../shared/utils/list')
+    , Scoreboard;
+
+/**
+ * Scoreboard class.
+ * @class client.ui.Scoreboard
+ * @classdesc Overlay that shows the points, kills and deaths for each team and player.
+ */
+Scoreboard = utils.inherit(null, {
+    /**
+     * Creates a new scoreboard.
+     * @constructor
+     * @param {Phaser.State} state - State instance.
+     * @param {number} width - Width of the overlay.
+     * @param {number} height - Height of the overlay.
+     */
+    constructor: function(state, width, height) {
+        // internal properties
+        this._state = state;
+        this._width = width;
+        this._height = height;
+        this._objects = new List();
+        this._footer = null;
+    }
+    /**
+     * Shows the scoreboard, replacing the scoreboard that is already shown.
+     * @method client.ui.Scoreboard#show
+     * @param {string} title - Title for the scoreboard.
+     * @param {array} teams - List of team results (the team with the most points first).
+     */
+    , show: function(title, teams) {
+        var columnWidth = (this._width - 40) / Math.max(teams.length, 1)
+            , background, text;
+
+        this.hide();
+
+        background = this._state.add.graphics(0, 0);
+        background.beginFill(0x000000, 0.75);
+        background.drawRect(0, 0, this._width, this._height);
+        background.endFill();
+        this.addObject(background);
+
+        text = this.addText(this._width / 2, 30, title, '24px', '#fff');
+        text.anchor.x = 0.5;
+
+        _.each(teams, function(team, index) {
+            this.showTeam(team, 20 + index * columnWidth, 90);
+        }, this);
+
+        this._footer = this.addText(this._width / 2, this._height - 40, '', '14px', '#aaa');
+        this._footer.anchor.x = 0.5;
+    }
+    /**
+     * Shows the results for a single team as a column.
+     * @method client.ui.Scoreboard#showTeam
+     * @param {object} team - Team result.
+     * @param {number} x - Left edge of the column.
+     * @param {number} y - Top edge of the column.
+     */
+    , showTeam: function(team, x, y) {
+        this.addText(x, y, team.name.toUpperCase() + ' ' + team.points, '18px', team.color);
+        this.addText(x, y + 26, 'flags: ' + team.flags + ' / players: ' + team.players.length, '12px', team.color);
+        this.addText(x, y + 52, this.pad('name', 12) + this.pad('pts', 6) + this.pad('k/d', 7) + 'ping', '12px', '#aaa');
+
+        _.each(team.players, function(player, index) {
+            this.addText(
+                x
+                , y + 70 + index * 16
+                , this.pad(player.name, 12) + this.pad(String(player.points), 6) +
+                    this.pad(player.kills + '/' + player.deaths, 7) + (_.isNumber(player.ping) ? player.ping : '-')
+                , '12px'
+                , '#fff'
+            );
+        }, this);
+    }
+    /**
+     * Changes the text shown at the bottom of the scoreboard.
+     * @method client.ui.Scoreboard#setFooter
+     * @param {string} string - Footer text.
+     */
+    , setFooter: function(string) {
+        if (this._footer) {
+            this._footer.text = string;
+        }
+    }
+    /**
+     * Hides the scoreboard.
+     * @method client.ui.Scoreboard#hide
+     */
+    , hide: function() {
+        this._objects.each(function(object) {
+            object.destroy();
+        }, this);
+
+        this._objects.clear();
+        this._footer = null;
+    }
+    /**
+     * Returns whether the scoreboard is shown.
+     * @method client.ui.Scoreboard#isVisible
+     * @return {boolean} The result.
+     */
+    , isVisible: function() {
+        return !this._objects.isEmpty();
+    }
+    /**
+     * Adds a text to the scoreboard.
+     * @method client.ui.Scoreboard#addText
+     * @param {number} x - Position on the x-axis.
+     * @param {number} y - Position on the y-axis.
+     * @param {string} string - Text to show.
+     * @param {string} size - Font size.
+     * @param {string} color - Text color.
+     * @return {Phaser.Text} Text instance.
+     */
+    , addText: function(x, y, string, size, color) {
+        var style = {font: size + ' Courier', stroke: '#000', strokeThickness: 4, fill: color}
+            , text = this._state.add.text(x, y, string, style);
+
+        this.addObject(text);
+
+        return text;
+    }
+    /**
+     * Adds a display object to the scoreboard and fixes it to the camera.
+     * @method client.ui.Scoreboard#addObject
+     * @param {Phaser.Sprite|Phaser.Text|Phaser.Graphics} object - Display object.
+     */
+    , addObject: function(object) {
+        object.fixedToCamera = true;
+        this._objects.add(object);
+    }
+    /**
+     * Pads the given string with spaces (or truncates it) to the given length.
+     * @method client.ui.Scoreboard#pad
+     * @param {string} string - String to pad.
+     * @param {number} length - Resulting length.
+     * @return {string} Padded string.
+     */
+    , pad: function(string, length) {
+        string = string.substring(0, length - 1);
+
+        while (string.length < length) {
+            string += ' ';
+        }
+
+        return string;
+    }
+});
+
+module.exports = Scoreboard;
@@ -0,0 +1,401 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , ComponentBase = require('../../../shared/components/input')
+    , config = require('../config.json')
+    , AiComponent;
+
+/**
+ * AI component class.
+ * @class server.components.AiComponent
+ * @classdesc Component that controls a bot, the bot moves using the same commands as the players.
+ * @extends shared.components.InputComponent
+ */
+AiComponent = utils.inherit(ComponentBase, {
+    /**
+     * Creates a new component.
+     * @constructor
+     * @param {server.core.Room} room - Room instance.
+     */
+    constructor: function(room) {
+        ComponentBase.call(this, config.tickRate);
+
+        // inherited properties
+        this.key = 'ai';
+
+        /**
+         * @property {string|null} behaviour - Current behaviour (attack, defend, hunt or return).
+         */
+        this.behaviour = null;
+
+        // internal properties
+        this._room = room;
+        this._target = null;
+        this._path = [];
+        this._pathGoal = null;
+        this._sequence = 0;
+        this._lastThinkAt = null;
+        this._lastPosition = null;
+        this._stuckTicks = 0;
+        this._detour = null;
+    }
+    /**
+     * @override
+     */
+    , update: function(elapsed) {
+        var now = _.now()
+            , command;
+
+        if (!this.owner.attrs.get('alive')) {
+            this._target = null;
+            return;
+        }
+
+        if (!this._lastThinkAt || now - this._lastThinkAt > config.botThinkMsec || !this.isValidTarget(this._target)) {
+            this.think();
+            this._lastThinkAt = now;
+        }
+
+        command = {sequence: this._sequence++, keys: this.calculateKeys()};
+
+        this.owner.attrs.set(this.processCommand(command));
+    }
+    /**
+     * Chooses the behaviour and the target for the bot.
+     * @method server.components.AiComponent#think
+     */
+    , think: function() {
+        var enemy, flag;
+
+        // bring the flag we are carrying to our base
+        if (this.findCarriedFlag()) {
+            this.setBehaviour('return', this._room.teams.get(this.owner.attrs.get('team')).getBase());
+            return;
+        }
+
+        enemy = this.findNearest(this.findEnemies(), this.owner, config.botAggroRange);
+
+        if (enemy) {
+            this.setBehaviour('attack', enemy);
+            return;
+        }
+
+        // bring back our flags when they have been dropped
+        flag = this.findNearest(_.filter(this.findFlags(true/* owned */), function(candidate) {
+            return candidate.components.get('flag').isDropped();
+        }), this.owner);
+
+        if (flag) {
+            this.setBehaviour('defend', flag);
+            return;
+        }
+
+        // defend our flags when there are enemies nearby
+        flag = _.find(this.findFlags(true/* owned */), function(candidate) {
+            return this.findNearest(this.findEnemies(), candidate, config.botDefendRange) !== null;
+        }, this);
+
+        if (flag) {
+            this.setBehaviour('defend', flag);
+            return;
+        }
+
+        // go for the closest flag that we do not own yet and that nobody is carrying
+        flag = this.findNearest(_.filter(this.findFlags(false/* owned */), function(candidate) {
+            return !candidate.attrs.get('carrier');
+        }), this.owner);
+
+        if (flag) {
+            this.setBehaviour('hunt', flag);
+            return;
+        }
+
+        // we own all the flags, so keep watch over one of them
+        flag = this.findNearest(this.findFlags(true/* owned */), this.owner);
+
+        if (flag) {
+            this.setBehaviour('defend', flag);
+        } else {
+            // there are no flags in the game mode, so go after the enemies wherever they are
+            this.setBehaviour('attack', this.findNearest(this.findEnemies(), this.owner));
+        }
+    }
+    /**
+     * Changes the behaviour of the bot.
+     * @method server.components.AiComponent#setBehaviour
+     * @param {string} behaviour - Behaviour name.
+     * @param {shared.core.Entity|server.core.Base|null} target - Target entity or area.
+     */
+    , setBehaviour: function(behaviour, target) {
+        var goal = target ? this.calculateBounds(target) : null;
+
+        // planning a route is expensive so we only do it when the target has moved
+        if (target !== this._target || !this._pathGoal ||
+            Math.abs(goal.x - this._pathGoal.x) > config.gameTileSize || Math.abs(goal.y - this._pathGoal.y) > config.gameTileSize) {
+            this._path = target ? this.findPath(target) : [];
+            this._pathGoal = goal;
+        }
+
+        this.behaviour = behaviour;
+        this._target = target;
+    }
+    /**
+     * Plans a route around the walls to the given target.
+     * @method server.components.AiComponent#findPath
+     * @param {shared.core.Entity|server.core.Base} target - Target entity or area.
+     * @return {array} List of positions to move through, empty if the target can be reached directly.
+     */
+    , findPath: function(target) {
+        var attrs = this.owner.attrs.get(['x', 'y', 'width', 'height'])
+            , center = this.calculateCenter(target)
+            , goal = {x: center.x - attrs.width / 2, y: center.y - attrs.height / 2}
+            , path = this._room.navigation ? this._room.navigation.findPath(attrs, goal, attrs.width, attrs.height) : null;
+
+        // the last position is left out so that we move straight to the target when we get close
+        return path ? _.initial(path) : [];
+    }
+    /**
+     * Returns the keys to press for moving towards (and attacking) the current target.
+     * @method server.components.AiComponent#calculateKeys
+     * @return {array} List of keys.
+     */
+    , calculateKeys: function() {
+        var now = _.now()
+            , keys = []
+            , position, target, dx, dy, deadZone;
+
+        if (!this._target) {
+            return keys;
+        }
+
+        if (this._detour && now < this._detour.until) {
+            return this._detour.keys;
+        }
+
+        position = this.owner.attrs.get(['x', 'y']);
+        target = this.calculateDestination();
+        dx = target.x - position.x;
+        dy = target.y - position.y;
+
+        // do not bounce back and forth when we are close enough
+        deadZone = this.owner.attrs.get('runSpeed') * this._stepSec;
+
+        // move on to the next position on the route once we reach the current one
+        if (this._path.length && Math.abs(dx) <= deadZone && Math.abs(dy) <= deadZone) {
+            this._path.shift();
+            return this.calculateKeys();
+        }
+
+        if (dx < -deadZone) {
+            keys.push('arrowLeft');
+        } else if (dx > deadZone) {
+            keys.push('arrowRight');
+        }
+        if (dy < -deadZone) {
+            keys.push('arrowUp');
+        } else if (dy > deadZone) {
+            keys.push('arrowDown');
+        }
+
+        this.updateStuck(keys);
+
+        if (this.behaviour === 'attack' && this.canHit(this._target)) {
+            keys.push('space');
+        }
+
+        return keys;
+    }
+    /**
+     * Returns the position to move to, which is either the next position on the route or the target itself.
+     * @method server.components.AiComponent#calculateDestination
+     * @return {object} Position (top-left corner of the body).
+     */
+    , calculateDestination: function() {
+        var size = this.owner.attrs.get(['width', 'height'])
+            , center;
+
+        if (this._path.length) {
+            return this._path[0];
+        }
+
+        // line up our center with the center of the target
+        center = this.calculateCenter(this._target);
+
+        return {x: center.x - size.width / 2, y: center.y - size.height / 2};
+    }
+    /**
+     * Keeps track of whether the bot is stuck (e.g. behind a wall) and takes a detour if it is.
+     * @method server.components.AiComponent#updateStuck
+     * @param {array} keys - Keys that are about to be pressed.
+     */
+    , updateStuck: function(keys) {
+        var position = this.owner.attrs.get(['x', 'y'])
+            , moved = !this._lastPosition || position.x !== this._lastPosition.x || position.y !== this._lastPosition.y;
+
+        this._lastPosition = position;
+        this._stuckTicks = keys.length && !moved ? this._stuckTicks + 1 : 0;
+
+        if (this._stuckTicks >= config.botStuckTicks) {
+            // walk sideways for a while to get around the obstacle
+            this._detour = {
+                keys: _.indexOf(keys, 'arrowLeft') !== -1 || _.indexOf(keys, 'arrowRight') !== -1 ?
+                    [this._room.chance.pick(['arrowUp', 'arrowDown'])] :
+                    [this._room.chance.pick(['arrowLeft', 'arrowRight'])]
+                , until: _.now() + config.botDetourMsec
+            };
+            this._stuckTicks = 0;
+
+            // plan a new route once we are past the obstacle
+            this._pathGoal = null;
+        }
+    }
+    /**
+     * Returns whether the given entity would be hit if the bot attacked now.
+     * @method server.components.AiComponent#canHit
+     * @param {shared.core.Entity} entity - Entity instance.
+     * @return {boolean} The result.
+     */
+    , canHit: function(entity) {
+        var target = this.owner.components.get('attack').calculateTarget()
+            , halfAoe = this.owner.attrs.get('attackAoe') / 2
+            , attrs = entity.attrs.get(['x', 'y', 'width', 'height']);
+
+        return target.x + halfAoe > attrs.x && target.x - halfAoe < attrs.x + attrs.width &&
+            target.y + halfAoe > attrs.y && target.y - halfAoe < attrs.y + attrs.height;
+    }
+    /**
+     * Returns whether the given target is still worth going after.
+     * @method server.components.AiComponent#isValidTarget
+     * @param {shared.core.Entity|server.core.Base|null} target - Target entity or area.
+     * @return {boolean} The result.
+     */
+    , isValidTarget: function(target) {
+        if (this.behaviour === 'return') {
+            return target !== null && this.findCarriedFlag() !== null;
+        }
+
+        if (!target || !this._room.entities.get(target.id)) {
+            return false;
+        }
+
+        switch (this.behaviour) {
+            case 'attack':
+                return target.attrs.get('alive') === true;
+            case 'hunt':
+                return target.attrs.get('team') !== this.owner.attrs.get('team');
+            default:
+                return true;
+        }
+    }
+    /**
+     * Returns the enemy players that are alive.
+     * @method server.components.AiComponent#findEnemies
+     * @return {array} List of player entities.
+     */
+    , findEnemies: function() {
+        var team = this.owner.attrs.get('team')
+            , enemies = [];
+
+        this._room.entities.each(function(entity) {
+            if (entity.key === 'player' && entity.attrs.get('team') !== team && entity.attrs.get('alive')) {
+                enemies.push(entity);
+            }
+        }, this);
+
+        return enemies;
+    }
+    /**
+     * Returns the flags that are (or are not) owned by the team of the bot.
+     * @method server.components.AiComponent#findFlags
+     * @param {boolean} owned - Whether to return the owned flags.
+     * @return {array} List of flag entities.
+     */
+    , findFlags: function(owned) {
+        var team = this.owner.attrs.get('team')
+            , flags = [];
+
+        this._room.entities.each(function(entity) {
+            if (entity.key === 'flag' && (entity.attrs.get('team') === team) === owned) {
+                flags.push(entity);
+            }
+        }, this);
+
+        return flags;
+    }
+    /**
+     * Returns the flag that the bot is carrying.
+     * @method server.components.AiComponent#findCarriedFlag
+     * @return {shared.core.Entity|null} Flag entity, or null if the bot is not carrying a flag.
+     */
+    , findCarriedFlag: function() {
+        var carried = null;
+
+        this._room.entities.each(function(entity) {
+            if (entity.key === 'flag' && entity.attrs.get('carrier') === this.owner.id) {
+                carried = entity;
+            }
+        }, this);
+
+        return carried;
+    }
+    /**
+     * Returns the entity nearest to the given entity.
+     * @method server.components.AiComponent#findNearest
+     * @param {array} entities - List of candidate entities.
+     * @param {shared.core.Entity} entity - Entity to measure the distance from.
+     * @param {number} maxDistance - Maximum distance (in pixels), omit for no limit.
+     * @return {shared.core.Entity|null} Entity instance, or null if there is nothing in range.
+     */
+    , findNearest: function(entities, entity, maxDistance) {
+        var nearest = null
+            , shortest = _.isUndefined(maxDistance) ? Infinity : maxDistance
+            , distance;
+
+        _.each(entities, function(candidate) {
+            distance = this.calculateDistance(entity, candidate);
+
+            if (distance <= shortest) {
+                nearest = candidate;
+                shortest = distance;
+            }
+        }, this);
+
+        return nearest;
+    }
+    /**
+     * Returns the distance between the centers of the given entities.
+     * @method server.components.AiComponent#calculateDistance
+     * @param {shared.core.Entity} entity - Entity instance.
+     * @param {shared.core.Entity} other - Other entity instance.
+     * @return {number} Distance (in pixels).
+     */
+    , calculateDistance: function(entity, other) {
+        var a = this.calculateCenter(entity)
+            , b = this.calculateCenter(other);
+
+        return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2));
+    }
+    /**
+     * Returns the center point of the given entity.
+     * @method server.components.AiComponent#calculateCenter
+     * @param {shared.core.Entity|server.core.Base} entity - Entity instance or area.
+     * @return {object} Position object.
+     */
+    , calculateCenter: function(entity) {
+        var attrs = this.calculateBounds(entity);
+
+        return {x: attrs.x + (attrs.width || 0) / 2, y: attrs.y + (attrs.height || 0) / 2};
+    }
+    /**
+     * Returns the position and the size of the given target.
+     * @method server.components.AiComponent#calculateBounds
+     * @param {shared.core.Entity|server.core.Base} target - Target entity or area.
+     * @return {object} Area object.
+     */
+    , calculateBounds: function(target) {
+        return target.attrs ? target.attrs.get(['x', 'y', 'width', 'height']) : _.pick(target, ['x', 'y', 'width', 'height']);
+    }
+});
+
+module.exports = AiComponent;
@@ -4,6 +4,7 @@ var _ = require('lodash')
     , utils = require('../../../shared/utils')
     , ComponentBase = require('../../../shared/components/attack')
     , Body = require('../../../shared/physics/body')
+    , config = require('../config.json')
     , AttackComponent;
 
 /**
@@ -44,13 +45,16 @@ AttackComponent = utils.inherit(ComponentBase, {
                 , amount = this.owner.attrs.get('damage')
                 , playerTeam = this.owner.attrs.get('team')
                 , halfAoe = aoe / 2
-                , otherTeam;
+                , otherTeam, rewound;
 
             this._body.x = target.x - halfAoe;
             this._body.y = target.y - halfAoe;
             this._body.width = aoe;
             this._body.height = aoe;
 
+            // move the opponents back to where the attacker saw them when attacking
+            rewound = this.rewindTargets(this.calculateViewTime());
+
             this._physics.overlap('player', function(body, other) {
                 otherTeam = other.owner.attrs.get('team');
 
@@ -60,8 +64,83 @@ AttackComponent = utils.inherit(ComponentBase, {
                     console.log('   player %s hit opponent %s for %d', body.owner.id, other.owner.id, amount);
                 }
             }, this, this._body/* use the attack body instead of the entity body */);
+
+            this.restoreTargets(rewound);
         }
     }
+    /**
+     * Estimates the time (on the server clock) of the game state that the attacker saw when attacking.
+     * @method server.components.AttackComponent#calculateViewTime
+     * @return {number} Timestamp.
+     */
+    , calculateViewTime: function() {
+        var now = _.now()
+            , io = this.owner.components.get('io')
+            , input = this.owner.components.get('input')
+            , command = input ? input.findCommand(this.owner.attrs.get('inputSequence')) : null
+            , rewindMsec;
+
+        if (!config.enableLagCompensation || !io || !command) {
+            return now;
+        }
+
+        // the command travelled half a round trip to get here and the game state the attacker saw
+        // travelled the other half, on top of that remote entities are rendered in the past
+        rewindMsec = io.rtt + (config.enableInterpolation ? config.interpolationMsec : 0);
+
+        return Math.max(command.receivedAt - rewindMsec, now - config.lagCompensationMsec);
+    }
+    /**
+     * Moves the bodies of nearby players to where they were at the given time.
+     * @method server.components.AttackComponent#rewindTargets
+     * @param {number} time - Timestamp.
+     * @return {array} List of rewound bodies with their actual positions.
+     */
+    , rewindTargets: function(time) {
+        var rewound = []
+            , now = _.now()
+            , history, position, area, distance;
+
+        if (time >= now) {
+            return rewound;
+        }
+
+        // players may have moved since, so look for them as far as they could have run
+        distance = Math.ceil(this.owner.attrs.get('runSpeed') * (now - time) / 1000);
+        area = {
+            id: this._body.id
+            , x: this._body.x - distance
+            , y: this._body.y - distance
+            , width: this._body.width + distance * 2
+            , height: this._body.height + distance * 2
+        };
+
+        _.each(this._physics.findTargets('player', area), function(body) {
+            history = body.owner.components.get('history');
+            position = history ? history.positionAt(time) : null;
+
+            if (position && body.owner !== this.owner) {
+                rewound.push({body: body, x: body.x, y: body.y});
+                body.x = position.x;
+                body.y = position.y;
+                this._physics.updateBody(body);
+            }
+        }, this);
+
+        return rewound;
+    }
+    /**
+     * Moves rewound bodies back to their actual positions.
+     * @method server.components.AttackComponent#restoreTargets
+     * @param {array} rewound - List of rewound bodies.
+     */
+    , restoreTargets: function(rewound) {
+        _.each(rewound, function(item) {
+            item.body.x = item.x;
+            item.body.y = item.y;
+            this._physics.updateBody(item.body);
+        }, this);
+    }
 });
 
 module.exports = AttackComponent;
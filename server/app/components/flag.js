@@ -3,12 +3,13 @@
 var _ = require('lodash')
     , utils = require('../../../shared/utils')
     , ComponentBase = require('../../../shared/components/flag')
+    , config = require('../config.json')
     , FlagComponent;
 
 /**
  * Flag component class.
  * @class server.components.FlagComponent
- * @classdesc Component that adds flag functionality.
+ * @classdesc Component that adds flag functionality, the game mode decides what happens when a player touches the flag.
  * @extends shared.components.FlagComponent
  */
 FlagComponent = utils.inherit(ComponentBase, {
@@ -23,6 +24,12 @@ FlagComponent = utils.inherit(ComponentBase, {
         this._room = room;
         this._physics = null;
         this._team = 'neutral';
+        this._home = null;
+        this._carrier = null;
+        this._droppedAt = null;
+        this._captureTeam = null;
+        this._captureProgress = 0;
+        this._contested = false;
     }
     /**
      * @override
@@ -34,20 +41,189 @@ FlagComponent = utils.inherit(ComponentBase, {
      * @override
      */
     , update: function(elapsed) {
-        var playerTeam;
+        var players = [];
 
-        this._physics.overlap('player', function(body, other) {
-            playerTeam = other.owner.attrs.get('team');
-            if (!_.isUndefined(playerTeam) && playerTeam !== this._team && other.owner.attrs.get('alive')) {
-                this._room.flags.captureFlag(this.owner.id, this._team, playerTeam);
+        // the flag is placed on the map after it has been created
+        if (!this._home) {
+            this._home = this.owner.attrs.get(['x', 'y']);
+        }
 
-                console.log('   player %s captured flag %s %s => %s', other.owner.id, body.owner.id, this._team, playerTeam);
-                this._team = playerTeam;
+        if (this._carrier) {
+            if (this._carrier.attrs.get('alive') && this._room.entities.get(this._carrier.id)) {
+                this.owner.attrs.set(this._carrier.attrs.get(['x', 'y']));
+            } else {
+                // the carrier died or left the game
+                this.drop();
             }
-        }, this);
+        } else {
+            if (this.isDropped() && _.now() - this._droppedAt > config.flagReturnSec * 1000) {
+                this.returnHome(true/* announce */);
+            }
+
+            this._physics.overlap('player', function(body, other) {
+                if (!_.isUndefined(other.owner.attrs.get('team')) && other.owner.attrs.get('alive')) {
+                    players.push(other.owner);
+                }
+            }, this);
+
+            this._room.mode.updateFlag(this.owner, players, elapsed);
+        }
 
         // update entity attributes
-        this.owner.attrs.set({team: this._team});
+        this.owner.attrs.set({
+            team: this._team
+            , carrier: this._carrier ? this._carrier.id : null
+            // the progress is rounded so that it is not sent on every update
+            , captureProgress: Math.round(this._captureProgress * 100) / 100
+            , captureColor: this._captureTeam ? this._room.teams.get(this._captureTeam).color : null
+            , contested: this._contested
+        });
+    }
+    /**
+     * Updates the capture progress, the progress builds while a single team other than the owner
+     * stands on the flag and the flag is captured once the progress is complete.
+     * @method server.components.FlagComponent#updateProgress
+     * @param {array} players - Living players touching the flag.
+     * @param {number} elapsed - Time elapsed since the previous update (in msec).
+     */
+    , updateProgress: function(players, elapsed) {
+        var teams = _.uniq(_.map(players, function(player) {
+                return player.attrs.get('team');
+            }))
+            , captureStep = elapsed / (config.flagCaptureSec * 1000)
+            , decayStep = elapsed / (config.flagDecaySec * 1000);
+
+        // nobody makes progress while several teams fight over the flag
+        this._contested = teams.length > 1;
+
+        if (this._contested) {
+            return;
+        }
+
+        if (teams.length === 1 && teams[0] !== this._team) {
+            if (this._captureTeam === teams[0] || this._captureProgress === 0) {
+                this._captureTeam = teams[0];
+                this._captureProgress = Math.min(this._captureProgress + captureStep, 1);
+            } else {
+                // the progress of the previous team has to be undone first
+                this._captureProgress = Math.max(this._captureProgress - captureStep, 0);
+            }
+        } else {
+            // the progress decays when the flag is abandoned or the owners return to it
+            this._captureProgress = Math.max(this._captureProgress - decayStep, 0);
+        }
+
+        if (this._captureProgress >= 1) {
+            this.capture(_.find(players, function(player) {
+                return player.attrs.get('team') === this._captureTeam;
+            }, this));
+            this._captureProgress = 0;
+        }
+
+        if (this._captureProgress === 0) {
+            this._captureTeam = null;
+        }
+    }
+    /**
+     * Returns the team that owns the flag.
+     * @method server.components.FlagComponent#getTeam
+     * @return {string} Team name, or neutral.
+     */
+    , getTeam: function() {
+        return this._team;
+    }
+    /**
+     * Returns the player carrying the flag.
+     * @method server.components.FlagComponent#getCarrier
+     * @return {shared.core.Entity|null} Player entity, or null if the flag is not carried.
+     */
+    , getCarrier: function() {
+        return this._carrier;
+    }
+    /**
+     * Returns whether the flag was dropped and has not been returned yet.
+     * @method server.components.FlagComponent#isDropped
+     * @return {boolean} The result.
+     */
+    , isDropped: function() {
+        return this._droppedAt !== null;
+    }
+    /**
+     * Captures the flag for the team of the given player.
+     * @method server.components.FlagComponent#capture
+     * @param {shared.core.Entity} player - Player entity.
+     * @return {boolean} Whether the flag was captured.
+     */
+    , capture: function(player) {
+        var playerTeam = player.attrs.get('team');
+
+        if (playerTeam === this._team || !this._room.flags.captureFlag(this.owner.id, this._team, playerTeam)) {
+            return false;
+        }
+
+        console.log('   player %s captured flag %s %s => %s', player.id, this.owner.id, this._team, playerTeam);
+
+        // let the clients know so that they can notify the players
+        this._room.broadcastEvent('flag.captured', {
+            flag: this.owner.id
+            , player: this._room.describePlayer(player)
+            , from: this._team
+            , to: playerTeam
+        });
+
+        this._team = playerTeam;
+
+        return true;
+    }
+    /**
+     * Lets the given player pick up the flag.
+     * @method server.components.FlagComponent#pickUp
+     * @param {shared.core.Entity} player - Player entity.
+     */
+    , pickUp: function(player) {
+        this._carrier = player;
+        this._droppedAt = null;
+
+        this._room.broadcastEvent('flag.taken', {
+            flag: this.owner.id
+            , player: this._room.describePlayer(player)
+            , team: this._team
+        });
+    }
+    /**
+     * Drops the flag where its carrier was last seen, the flag returns by itself if nobody picks it up.
+     * @method server.components.FlagComponent#drop
+     */
+    , drop: function() {
+        var carrier = this._carrier;
+
+        this._carrier = null;
+        this._droppedAt = _.now();
+
+        this.owner.attrs.set(carrier.attrs.get(['x', 'y']));
+
+        this._room.broadcastEvent('flag.dropped', {
+            flag: this.owner.id
+            , player: this._room.describePlayer(carrier)
+            , team: this._team
+        });
+    }
+    /**
+     * Moves the flag back to where it was placed on the map.
+     * @method server.components.FlagComponent#returnHome
+     * @param {boolean} announce - Whether to let the players know that the flag was returned.
+     */
+    , returnHome: function(announce) {
+        this._carrier = null;
+        this._droppedAt = null;
+
+        if (this._home) {
+            this._physics.place(this._home);
+        }
+
+        if (announce) {
+            this._room.broadcastEvent('flag.returned', {flag: this.owner.id, team: this._team});
+        }
     }
 });
 
@@ -27,6 +27,7 @@ HealthComponent = utils.inherit(ComponentBase, {
         this._maxHealth = 0;
         this._currentHealth = 0;
         this._alive = true;
+        this._killer = null;
     }
     /**
      * @override
@@ -47,6 +48,12 @@ HealthComponent = utils.inherit(ComponentBase, {
 
         // kill the entity if it should not be alive anymore
         if (this._alive === false && this.owner.attrs.get('alive')) {
+            // credit the kill only once even if the entity took several fatal hits
+            if (this._killer) {
+                this._killer.kill(this.owner);
+                this._killer = null;
+            }
+
             this.owner.die();
         }
 
@@ -66,8 +73,8 @@ HealthComponent = utils.inherit(ComponentBase, {
     , onEntityDamage: function(amount, attacker) {
         this._currentHealth -= amount;
 
-        if (this._currentHealth <= 0) {
-            attacker.kill(this.owner);
+        if (this._currentHealth <= 0 && !this._killer) {
+            this._killer = attacker;
         }
     }
     /**
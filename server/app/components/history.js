@@ -0,0 +1,81 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , ComponentBase = require('../../../shared/core/component')
+    , List = require('../../../shared/utils/list')
+    , HistoryComponent;
+
+/**
+ * History component class.
+ * @class server.components.HistoryComponent
+ * @classdesc Component that remembers where the entity has been (used for lag compensation).
+ * @extends shared.core.Component
+ */
+HistoryComponent = utils.inherit(ComponentBase, {
+    /**
+     * Creates a new component.
+     * @constructor
+     * @param {number} expireMsec - Time to remember each position (in msec).
+     */
+    constructor: function(expireMsec) {
+        ComponentBase.apply(this);
+
+        // inherited properties
+        this.key = 'history';
+        this.phase = ComponentBase.prototype.phases.LOGIC;
+
+        // internal properties
+        this._expireMsec = expireMsec;
+        this._positions = new List();
+    }
+    /**
+     * @override
+     */
+    , update: function(elapsed) {
+        var now = _.now()
+            , expireTime = now - this._expireMsec;
+
+        this._positions.add({time: now, x: this.owner.attrs.get('x'), y: this.owner.attrs.get('y')});
+
+        while (this._positions.size() > 1 && this._positions.first().time < expireTime) {
+            this._positions.remove(this._positions.first());
+        }
+    }
+    /**
+     * Returns the position of the entity at the given time.
+     * @method server.components.HistoryComponent#positionAt
+     * @param {number} time - Timestamp.
+     * @return {object|null} Position object, or null if there is no history.
+     */
+    , positionAt: function(time) {
+        var previous = null
+            , result = null
+            , factor;
+
+        this._positions.each(function(position) {
+            if (position.time >= time) {
+                if (previous) {
+                    // interpolate between the ticks before and after the given time
+                    factor = (time - previous.time) / (position.time - previous.time);
+                    result = {x: utils.lerp(previous.x, position.x, factor), y: utils.lerp(previous.y, position.y, factor)};
+                } else {
+                    result = {x: position.x, y: position.y};
+                }
+
+                return false; // stop iterating
+            }
+
+            previous = position;
+        }, this);
+
+        // the time is more recent than our history, use the latest position
+        if (!result && previous) {
+            result = {x: previous.x, y: previous.y};
+        }
+
+        return result;
+    }
+});
+
+module.exports = HistoryComponent;
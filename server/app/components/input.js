@@ -3,6 +3,8 @@
 var _ = require('lodash')
     , utils = require('../../../shared/utils')
     , ComponentBase = require('../../../shared/components/input')
+    , List = require('../../../shared/utils/list')
+    , config = require('../config.json')
     , InputComponent;
 
 /**
@@ -12,12 +14,68 @@ var _ = require('lodash')
  * @extends shared.components.InputComponent
  */
 InputComponent = utils.inherit(ComponentBase, {
+    /**
+     * Creates a new component.
+     * @constructor
+     */
+    constructor: function() {
+        ComponentBase.call(this, config.tickRate);
+
+        /**
+         * @property {boolean} throttled - Whether the client is limited to fewer commands than there are ticks.
+         */
+        this.throttled = false;
+
+        // internal properties
+        this._commands = new List();
+        this._lastCommand = null;
+        this._lastSequence = -1;
+        this._budget = config.inputBurstSize;
+        this._refillTicks = 0;
+        this._spark = null;
+        this._onInput = this.onInput.bind(this);
+    }
     /**
      * @override
      */
-    init: function() {
-        var io = this.owner.components.get('io');
-        io.spark.on('player.input', this.onInput.bind(this));
+    , init: function() {
+        this.bindSpark(this.owner.components.get('io').spark);
+
+        this.owner.on('entity.remove', this.onEntityRemove.bind(this));
+        this.owner.on('player.reconnect', this.onPlayerReconnect.bind(this));
+    }
+    /**
+     * Starts listening for commands from the given spark (and stops listening to the previous one).
+     * @method server.components.InputComponent#bindSpark
+     * @param {Primus.Spark|null} spark - Spark instance, or null to stop listening.
+     */
+    , bindSpark: function(spark) {
+        if (this._spark) {
+            this._spark.removeListener('player.input', this._onInput);
+        }
+
+        this._spark = spark;
+
+        if (spark) {
+            spark.on('player.input', this._onInput);
+        }
+    }
+    /**
+     * Event handler for when the entity is removed.
+     * @method server.components.InputComponent#onEntityRemove
+     * @param {shared.core.Entity} entity - Entity that was removed.
+     */
+    , onEntityRemove: function(entity) {
+        // the spark outlives the player when the client stays connected between games
+        this.bindSpark(null);
+    }
+    /**
+     * Event handler for when the client of the player reconnects.
+     * @method server.components.InputComponent#onPlayerReconnect
+     * @param {Primus.Spark} spark - Spark instance for the new connection.
+     */
+    , onPlayerReconnect: function(spark) {
+        this.bindSpark(spark);
     }
     /**
      * Event handler for when receiving user input.
@@ -25,8 +83,93 @@ InputComponent = utils.inherit(ComponentBase, {
      * @param {object} command - User command.
      */
     , onInput: function(command) {
-        var attrs = this.processCommand(command);
-        this.owner.attrs.set(attrs);
+        var violation = this.validateCommand(command);
+
+        if (violation) {
+            this.owner.trigger('input.violation', violation, this.owner);
+            return;
+        }
+
+        // each command costs one tick of budget, this prevents clients from
+        // moving faster than allowed by sending more commands than there are ticks
+        if (this._budget < 1) {
+            this.owner.trigger('input.violation', 'budget exceeded', this.owner);
+            return;
+        }
+
+        this._budget--;
+        this._lastSequence = command.sequence;
+
+        // only keep what we need and remember when the command arrived (used for lag compensation)
+        command = {sequence: command.sequence, keys: command.keys, receivedAt: _.now()};
+
+        // commands are buffered and applied one per tick, just like on the client
+        this._commands.add(command);
+    }
+    /**
+     * Validates a command received from the client.
+     * @method server.components.InputComponent#validateCommand
+     * @param {object} command - User command.
+     * @return {string|null} Description of the violation, or null if the command is valid.
+     */
+    , validateCommand: function(command) {
+        if (!_.isObject(command) || !_.isNumber(command.sequence) || !_.isArray(command.keys)) {
+            return 'malformed command';
+        }
+        // sequences must increase so that they can be used for reconcilation
+        if (command.sequence % 1 !== 0 || command.sequence <= this._lastSequence) {
+            return 'invalid sequence ' + command.sequence;
+        }
+        if (command.keys.length > this.keys.length || _.uniq(command.keys).length !== command.keys.length) {
+            return 'too many keys';
+        }
+        if (_.difference(command.keys, this.keys).length) {
+            return 'unknown keys';
+        }
+
+        return null;
+    }
+    /**
+     * @override
+     */
+    , update: function(elapsed) {
+        var applied = 0;
+
+        // refill the budget by one command per tick, throttled clients have to wait several ticks for each command
+        if (++this._refillTicks >= (this.throttled ? config.inputThrottledRefillTicks : 1)) {
+            this._budget = Math.min(this._budget + 1, this.throttled ? config.inputThrottledBurstSize : config.inputBurstSize);
+            this._refillTicks = 0;
+        }
+
+        // apply an extra command if the client is ahead of us so that the buffer does not grow,
+        // but never too many at once so that a burst of commands cannot move the player several steps in one tick
+        while (!this._commands.isEmpty() && applied < config.inputMaxCommandsPerTick) {
+            this.applyCommand(this._commands.first());
+            applied++;
+
+            if (this._commands.size() <= config.inputBufferSize) {
+                break;
+            }
+        }
+    }
+    /**
+     * Applies a single command to the entity.
+     * @method server.components.InputComponent#applyCommand
+     * @param {object} command - User command.
+     */
+    , applyCommand: function(command) {
+        this._commands.remove(command);
+        this.owner.attrs.set(this.processCommand(command));
+        this._lastCommand = command;
+    }
+    /**
+     * Returns the applied command with the given sequence.
+     * @method server.components.InputComponent#findCommand
+     * @param {number} sequence - Command sequence.
+     * @return {object|null} Command, or null if not found.
+     */
+    , findCommand: function(sequence) {
+        return this._lastCommand && this._lastCommand.sequence === sequence ? this._lastCommand : null;
     }
 });
 
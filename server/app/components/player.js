@@ -54,8 +54,8 @@ PlayerComponent = utils.inherit(ComponentBase, {
      * @method server.components.PlayerComponent#onEntityKill
      */
     , onEntityKill: function(other) {
+        // the game mode decides how many points the kill is worth
         this._kills++;
-        this.addPoints(10);
     }
     /**
      * Event handler for when the entity dies.
@@ -105,6 +105,23 @@ PlayerComponent = utils.inherit(ComponentBase, {
             , lastDeadAt: this._lastDeadAt
         });
     }
+    /**
+     * Returns the statistics for the player.
+     * @method server.components.PlayerComponent#serializeStats
+     * @return {object} Player statistics.
+     */
+    , serializeStats: function() {
+        var io = this.owner.components.get('io');
+
+        return {
+            id: this.owner.id
+            , name: this.owner.attrs.get('name')
+            , points: this._points
+            , kills: this._kills
+            , deaths: this._deaths
+            , ping: io ? Math.round(io.rtt) : null
+        };
+    }
     /**
      * Returns whether the entity can be revived.
      * @method server.components.PlayerComponent#canRevive
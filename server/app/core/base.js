@@ -51,6 +51,16 @@ Base = utils.inherit(null, {
     , bottom: function() {
         return this.y + this.height;
     }
+    /**
+     * Returns whether the given point is inside the base.
+     * @method server.core.Base#contains
+     * @param {number} x - Position on the x-axis.
+     * @param {number} y - Position on the y-axis.
+     * @return {boolean} The result.
+     */
+    , contains: function(x, y) {
+        return x >= this.x && x < this.right() && y >= this.y && y < this.bottom();
+    }
 });
 
 module.exports = Base;
@@ -1,9 +1,11 @@
 'use strict';
 
 var _ = require('lodash')
+    , crypto = require('crypto')
     , shortid = require('shortid')
     , utils = require('../../../shared/utils')
     , Node = require('../../../shared/core/node')
+    , List = require('../../../shared/utils/list')
     , DataManager = require('./dataManager')
     , EntityFactory = require('./entityFactory')
     , config = require('../config.json')
@@ -29,12 +31,34 @@ Client = utils.inherit(Node, {
          * @property {string} id - Identifier for the client.
          */
         this.id = shortid.generate();
+        /**
+         * @property {boolean} connected - Whether the client is still connected.
+         */
+        this.connected = true;
+        /**
+         * @property {boolean} suspended - Whether the client has lost its connection but may still reconnect.
+         */
+        this.suspended = false;
+        /**
+         * @property {string} token - Secret session token, used for resuming the session after reconnecting.
+         */
+        this.token = crypto.randomBytes(16).toString('hex');
 
         // internal properties
         this._spark = spark;
         this._room = room;
         this._config = null;
         this._player = null;
+        this._sentSnapshots = new List();
+        this._lastAckSequence = null;
+        this._sentStatics = {};
+        this._events = new List();
+        this._eventSequence = 0;
+        this._violations = 0;
+        this._lastViolationAt = _.now();
+        this._forgiveId = null;
+        this._kicked = false;
+        this._graceId = null;
     }
     /**
      * Initializes this client.
@@ -46,9 +70,37 @@ Client = utils.inherit(Node, {
 
         console.log('  client %s connected to room %s', this.id, this._room.id);
 
-        this._config = {
-            // client identifier
+        this._config = this.createConfig();
+        this.markStaticsSent(this._config.gameSnapshot);
+
+        // send the configuration to the client
+        this._spark.emit('client.init', this._config, config.debug);
+
+        this.bindEvents();
+    }
+    /**
+     * Binds the event handlers for the spark.
+     * @method server.core.Client#bindEvents
+     */
+    , bindEvents: function() {
+        this._spark.on('ping', this.onPing.bind(this));
+        this._spark.on('client.protocol', this.onProtocol.bind(this));
+        this._spark.on('client.ready', this.onReady.bind(this));
+        this._spark.on('game.ack', this.onAck.bind(this));
+        this._spark.on('game.resync', this.onResync.bind(this));
+        this._spark.on('game.eventAck', this.onEventAck.bind(this));
+        this._spark.on('end', this.onDisconnect.bind(this));
+    }
+    /**
+     * Creates the configuration that the client needs for running the current game.
+     * @method server.core.Client#createConfig
+     * @return {object} Client configuration.
+     */
+    , createConfig: function() {
+        return {
+            // client identifier and the token for resuming the session
             id: this.id
+            , sessionToken: this.token
             // server configuration
             , tickRate: config.tickRate
             , syncRate: config.syncRate
@@ -56,13 +108,16 @@ Client = utils.inherit(Node, {
             , enablePrediction: config.enablePrediction
             , enableReconcilation: config.enableReconcilation
             , enableInterpolation: config.enableInterpolation
+            , interpolationMsec: config.interpolationMsec
             , enableExtrapolation: config.enableExtrapolation
             , extrapolationMsec: config.extrapolationMsec
+            , correctionMsec: config.correctionMsec
             // viewport configuration
             , canvasWidth: config.canvasWidth
             , canvasHeight: config.canvasHeight
             , gameWidth: this._room.tilemap.calculateWidth()
             , gameHeight: this._room.tilemap.calculateHeight()
+            , gameTileSize: config.gameTileSize
             // map configuration
             , mapKey: this._room.tilemap.key
             , mapData: this._room.tilemap.data
@@ -79,23 +134,80 @@ Client = utils.inherit(Node, {
             , gameName: config.gameName
             , gameVersion: config.gameVersion
             , gameLengthSec: config.gameLengthSec
-            , gameSnapshot: this._room.createSnapshot().serialize()
+            , gameMode: this._room.mode.serialize()
+            // the snapshot is filtered like every later snapshot so that it only contains what the player can see
+            , gameSnapshot: this._room.filterSnapshot(this._room.createSnapshot(), this._player).serialize()
+            // protocol configuration (the client lets us know which protocol it wants to use)
+            , protocol: config.enableBinaryProtocol ? 'binary' : 'json'
+            , protocolKeys: this._room.codec.entityKeys
+            , protocolHash: this._room.codec.hash
         };
-
-        // send the configuration to the client
-        this._spark.emit('client.init', this._config, config.debug);
-
-        // bind event handlers
-        this._spark.on('ping', this.onPing.bind(this));
-        this._spark.on('client.ready', this.onReady.bind(this));
-        this._spark.on('end', this.onDisconnect.bind(this));
+    }
+    /**
+     * Marks the static attributes in the given snapshot as sent, the initial snapshot includes them for the entities it contains.
+     * @method server.core.Client#markStaticsSent
+     * @param {object} snapshot - Serialized snapshot.
+     */
+    , markStaticsSent: function(snapshot) {
+        _.forOwn(snapshot.statics, function(attrs, entityId) {
+            this._sentStatics[entityId] = true;
+        }, this);
     }
     /**
      * Event hanlder for when receiving a ping.
      * @method server.core.Client#onPing
+     * @param {object} ping - Ping object.
      */
     , onPing: function(ping) {
         this._spark.emit('pong', ping);
+
+        // the client lets us know the round trip time it measured from the previous ping
+        if (this._player && _.isNumber(ping.rtt)) {
+            this._player.components.get('io').rtt = Math.max(ping.rtt, 0);
+        }
+    }
+    /**
+     * Event handler for when the client acknowledges a snapshot.
+     * @method server.core.Client#onAck
+     * @param {number} sequence - Snapshot sequence.
+     */
+    , onAck: function(sequence) {
+        if (!_.isNumber(sequence) || (!_.isNull(this._lastAckSequence) && sequence <= this._lastAckSequence)) {
+            return;
+        }
+
+        this._lastAckSequence = sequence;
+
+        // snapshots older than the acknowledged one will never be used as a base
+        this._sentSnapshots.filter(function(snapshot) {
+            return snapshot.sequence >= sequence;
+        }, true);
+    }
+    /**
+     * Event handler for when the client is unable to apply a delta snapshot.
+     * @method server.core.Client#onResync
+     */
+    , onResync: function() {
+        this._lastAckSequence = null;
+    }
+    /**
+     * Event handler for when the client acknowledges that it has received gameplay events.
+     * @method server.core.Client#onEventAck
+     * @param {number} sequence - Sequence of the last event received.
+     */
+    , onEventAck: function(sequence) {
+        this._events.filter(function(event) {
+            return event.sequence > sequence;
+        }, true);
+    }
+    /**
+     * Event handler for when the client has chosen a protocol.
+     * @method server.core.Client#onProtocol
+     * @param {string} protocol - Protocol name.
+     */
+    , onProtocol: function(protocol) {
+        // the parser encodes everything sent through the spark with the codec once it is set
+        this._spark.codec = protocol === 'binary' && config.enableBinaryProtocol ? this._room.codec : null;
     }
     /**
      * Event handler for when this client is ready.
@@ -113,7 +225,91 @@ Client = utils.inherit(Node, {
      * @method server.core.Client#onDisconnect
      */
     , onDisconnect: function() {
-        this.disconnect();
+        // keep the player around for a while in case the connection was lost by accident
+        if (config.sessionGraceSec > 0 && !this._kicked) {
+            this.suspend();
+        } else {
+            this.disconnect();
+        }
+    }
+    /**
+     * Event handler for when the player sends invalid input.
+     * @method server.core.Client#onInputViolation
+     * @param {string} reason - Description of the violation.
+     */
+    , onInputViolation: function(reason) {
+        var now = _.now()
+            , input = this._player ? this._player.components.get('input') : null;
+
+        if (!this.connected) {
+            return;
+        }
+
+        this._violations = this.calculateViolations(now) + 1;
+        this._lastViolationAt = now;
+
+        if (this._violations >= config.inputKickViolations) {
+            this.kick('too many invalid commands (' + reason + ')');
+        } else if (this._violations >= config.inputThrottleViolations) {
+            if (input && !input.throttled) {
+                console.log('  client %s is throttled (%s)', this.id, reason);
+                input.throttled = true;
+            }
+
+            // the client may stop sending violations altogether, so we check on it until it has been forgiven
+            if (!this._forgiveId) {
+                this._forgiveId = setInterval(this.updateThrottle.bind(this), 1000);
+            }
+        } else if (this._violations === config.inputWarnViolations) {
+            console.log('  client %s sent invalid commands (%s)', this.id, reason);
+            this._spark.emit('client.warning', 'Your client is sending invalid commands, you will be disconnected if this continues.');
+        }
+    }
+    /**
+     * Returns the number of violations that have not been forgiven yet.
+     * Old violations are forgiven so that the occasional network hiccup does not add up over time.
+     * @method server.core.Client#calculateViolations
+     * @param {number} now - Current time (in msec).
+     * @return {number} Number of violations.
+     */
+    , calculateViolations: function(now) {
+        return Math.max(this._violations - Math.floor((now - this._lastViolationAt) / 1000 * config.inputViolationDecayPerSec), 0);
+    }
+    /**
+     * Stops throttling the client once enough of its violations have been forgiven.
+     * @method server.core.Client#updateThrottle
+     */
+    , updateThrottle: function() {
+        var input = this._player ? this._player.components.get('input') : null;
+
+        if (this.calculateViolations(_.now()) < config.inputWarnViolations) {
+            if (input && input.throttled) {
+                console.log('  client %s is no longer throttled', this.id);
+                input.throttled = false;
+            }
+
+            clearInterval(this._forgiveId);
+            this._forgiveId = null;
+        }
+    }
+    /**
+     * Kicks the client from the server.
+     * @method server.core.Client#kick
+     * @param {string} reason - Reason for kicking.
+     */
+    , kick: function(reason) {
+        console.log('  client %s was kicked from room %s (%s)', this.id, this._room.id, reason);
+        this._kicked = true;
+        this._spark.emit('client.kick', reason);
+        this._spark.end();
+    }
+    /**
+     * Returns the player for the client.
+     * @method server.core.Client#getPlayer
+     * @return {shared.core.Entity|null} Player entity, or null if not created yet.
+     */
+    , getPlayer: function() {
+        return this._player;
     }
     /**
      * Creates the player for the client.
@@ -121,11 +317,20 @@ Client = utils.inherit(Node, {
      * @return {shared.core.Entity} Player entity.
      */
     , createPlayer: function() {
-        var entity = EntityFactory.createPlayer(this._spark);
+        var entity = EntityFactory.createPlayer(this._spark, this._room);
+
+        entity.on('input.violation', this.onInputViolation.bind(this));
+
+        // keep throttling clients that have not yet been forgiven
+        if (this._forgiveId) {
+            entity.components.get('input').throttled = true;
+        }
 
         // add the player to the team, the room and increase the player count
         this._room.entities.add(entity.id, entity);
+        this._room.bindPlayerEvents(entity);
         this._room.playerCount++;
+        this._room.balanceBots();
 
         console.log('  client %s joined as player %s', this.id, entity.id);
 
@@ -146,49 +351,205 @@ Client = utils.inherit(Node, {
             this._player.remove();
 
             // let other clients know that the player left
-            this._room.primus.forEach(function(spark) {
-                spark.emit('player.leave', playerId);
-            });
+            this._room.broadcast('player.leave', playerId);
 
             this._room.playerCount--;
+            this._player = null;
+
+            // a bot may need to take the place of the player
+            this._room.balanceBots();
         }
+
+        // let the next client in line take the free slot (if any)
+        this._room.admitQueued();
     }
     /**
      * Ends the game for the client.
      * @method server.core.Client#endGame
-     * @param {string} winner - Name of the winning team.
+     * @param {object} results - Game results.
      */
-    , endGame: function(winner) {
-        this._spark.emit('game.end', winner);
-
-        if (this._player) {
-            this._player.remove();
-        }
-
-        // reset the game after a while so that we have time to display the result
-        setTimeout(this.resetGame.bind(this), config.gameResetSec * 1000);
+    , endGame: function(results) {
+        this._spark.emit('game.end', results);
+        this.removePlayer();
     }
     /**
-     * TODO
+     * Resets the client for a new game, the client rebuilds its game using the new configuration
+     * and lets us know when it is ready for the player to be created.
+     * @method server.core.Client#resetGame
      */
     , resetGame: function() {
+        // nothing that was sent during the previous game can be used anymore
+        this._sentSnapshots.clear();
+        this._lastAckSequence = null;
+        this._sentStatics = {};
+        this._events.clear();
+
+        this._config = this.createConfig();
+        this.markStaticsSent(this._config.gameSnapshot);
+
         this._spark.emit('client.reset', this._config, config.debug);
     }
+    /**
+     * Sends an event to the client.
+     * @method server.core.Client#emit
+     * @param {string} event - Event type.
+     */
+    , emit: function() {
+        this._spark.emit.apply(this._spark, arguments);
+    }
+    /**
+     * Queues a gameplay event to be sent to the client.
+     * @method server.core.Client#queueEvent
+     * @param {string} type - Event type.
+     * @param {object} data - Event data.
+     */
+    , queueEvent: function(type, data) {
+        this._events.add({sequence: this._eventSequence++, type: type, data: data, createdAt: _.now(), sentAt: null});
+
+        // a client that stops acknowledging events should not make us run out of memory
+        if (this._events.size() > config.eventBacklog) {
+            this._events.remove(this._events.first());
+        }
+    }
+    /**
+     * Sends the gameplay events that have not been sent yet, or that have not been acknowledged in time.
+     * @method server.core.Client#sendEvents
+     */
+    , sendEvents: function() {
+        var now = _.now()
+            , events = [];
+
+        // the events are sent when the client reconnects
+        if (!this.connected) {
+            return;
+        }
+
+        this._events.each(function(event) {
+            if (event.sentAt === null || now - event.sentAt > config.eventResendMsec) {
+                events.push(_.omit(event, 'sentAt'));
+                event.sentAt = now;
+            }
+        }, this);
+
+        if (events.length) {
+            this._spark.emit('game.events', events);
+        }
+    }
     /**
      * Synchronizes the given world state to the client.
      * @method server.core.Client#syncGame
      * @param {shared.core.Snapshot} snapshot - Snapshot instance.
      */
     , syncGame: function(snapshot) {
-        this._spark.emit('game.sync', snapshot.serialize());
+        var base = this.findAckedSnapshot()
+            , data;
+
+        // send the full snapshot if the client has not acknowledged any snapshot
+        // that we still remember, otherwise only send what has changed since then
+        data = base ? snapshot.diff(base) : snapshot.serialize();
+
+        // static attributes only need to be sent once for each entity
+        data = _.extend({}, data, {statics: this.collectStatics(snapshot)});
+
+        this._spark.emit('game.sync', data);
+
+        this._sentSnapshots.add(snapshot);
+
+        if (this._sentSnapshots.size() > config.snapshotBacklog) {
+            this._sentSnapshots.remove(this._sentSnapshots.first());
+        }
+    }
+    /**
+     * Returns the static attributes in the given snapshot that have not yet been sent to the client.
+     * @method server.core.Client#collectStatics
+     * @param {shared.core.Snapshot} snapshot - Snapshot instance.
+     * @return {object} Map of static attributes (entity id => attributes).
+     */
+    , collectStatics: function(snapshot) {
+        var statics = {};
+
+        _.forOwn(snapshot.statics, function(attrs, entityId) {
+            if (!this._sentStatics[entityId]) {
+                statics[entityId] = attrs;
+                this._sentStatics[entityId] = true;
+            }
+        }, this);
+
+        return statics;
+    }
+    /**
+     * Returns the last snapshot acknowledged by the client.
+     * @method server.core.Client#findAckedSnapshot
+     * @return {shared.core.Snapshot|null} Snapshot instance, or null if not found.
+     */
+    , findAckedSnapshot: function() {
+        var result = null;
+
+        if (config.enableDeltaSnapshots && !_.isNull(this._lastAckSequence)) {
+            this._sentSnapshots.each(function(snapshot) {
+                if (snapshot.sequence === this._lastAckSequence) {
+                    result = snapshot;
+                }
+            }, this);
+        }
+
+        return result;
+    }
+    /**
+     * Suspends the client after losing its connection, the player is kept in the game
+     * until the client reconnects or the grace period runs out.
+     * @method server.core.Client#suspend
+     */
+    , suspend: function() {
+        this.connected = false;
+        this.suspended = true;
+
+        console.log('  client %s lost its connection to room %s', this.id, this._room.id);
+
+        this._graceId = setTimeout(this.disconnect.bind(this), config.sessionGraceSec * 1000);
+    }
+    /**
+     * Resumes the session for this client using the given spark.
+     * @method server.core.Client#resume
+     * @param {Primus.Spark} spark - Spark instance for the new connection.
+     */
+    , resume: function(spark) {
+        clearTimeout(this._graceId);
+
+        // the new spark uses json until the client has chosen its protocol again
+        this._spark = spark;
+        this.connected = true;
+        this.suspended = false;
+
+        // the snapshots may have been lost so we start over with a full snapshot,
+        // events that have not been acknowledged are sent right away
+        this._lastAckSequence = null;
+        this._events.each(function(event) {
+            event.sentAt = null;
+        }, this);
+
+        this.bindEvents();
+
+        if (this._player) {
+            this._player.components.get('io').spark = spark;
+            this._player.trigger('player.reconnect', spark);
+        }
+
+        console.log('  client %s reconnected to room %s', this.id, this._room.id);
+
+        spark.emit('client.resume');
     }
     /**
      * Disconnects the client from the server.
      * @method server.core.Client#disconnect
      */
     , disconnect: function() {
+        clearTimeout(this._graceId);
+        clearInterval(this._forgiveId);
+
+        this.connected = false;
+        this.suspended = false;
         this.removePlayer();
-        this.resetGame();
 
         console.log('  client %s disconnected from room %s', this.id, this._room.id);
         this.trigger('client.disconnect', this);
@@ -141,6 +141,14 @@ DataManager = {
     , getAudio: function() {
         return this._audio;
     }
+    /**
+     * Returns the data for all entities.
+     * @method server.core.DataManager#getEntities
+     * @return {object} Map of entity data (key => data).
+     */
+    , getEntities: function() {
+        return this._entities;
+    }
     /**
      * Returns the data for a specific entity.
      * @method server.core.DataManager#getEntity
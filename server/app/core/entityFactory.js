@@ -12,6 +12,9 @@ var _ = require('lodash')
     , InputComponent = require('../components/input')
     , PlayerComponent = require('../components/player')
     , FlagComponent = require('../components/flag')
+    , HistoryComponent = require('../components/history')
+    , AiComponent = require('../components/ai')
+    , config = require('../config.json')
     , EntityFactory;
 
 /**
@@ -20,20 +23,20 @@ var _ = require('lodash')
  * @classdesc Factory class for creating entities.
  */
 EntityFactory = {
-    room: null
     /**
      * Creates a new entity.
      * @method server.core.EntityFactory#create
      * @param {string} key - Entity type.
+     * @param {server.core.Room} room - Room instance.
      * @return {shared.core.Entity} Entity instance.
      */
-    , create: function(key) {
+    create: function(key, room) {
         var data = this.loadData(key)
             , entity = null;
 
         switch (key) {
             case 'flag':
-                entity = this.createFlag(data);
+                entity = this.createFlag(data, room);
                 break;
             default:
                 break;
@@ -45,39 +48,69 @@ EntityFactory = {
      * Create a new player entity.
      * @method server.core.EntityFactory#createPlayer
      * @param {Primus.Spark} spark - Spark instance.
+     * @param {server.core.Room} room - Room instance.
      * @return {shared.core.Entity} Entity instance.
      */
-    , createPlayer: function(spark) {
+    , createPlayer: function(spark, room) {
         var data = this.loadData('player')
             , entity = new Entity(data)
-            , team = this.room.teams.findWeakest()
+            , team = room.teams.findWeakest()
             , body = new Body(data.key, entity);
 
         // set initial entity attributes
         entity.attrs.set({
-            name: this.room.generatePlayerName()
+            name: room.generatePlayerName()
         });
 
         entity.components.add(new IoComponent(spark));
-        entity.components.add(new PhysicsComponent(body, this.room.world));
+        entity.components.add(new PhysicsComponent(body, room.world));
         entity.components.add(new AttackComponent());
         entity.components.add(new InputComponent());
         entity.components.add(new HealthComponent());
         entity.components.add(new PlayerComponent(team));
+        entity.components.add(new HistoryComponent(config.lagCompensationMsec));
+
+        return entity;
+    }
+    /**
+     * Create a new bot, bots are players that are controlled by the server.
+     * @method server.core.EntityFactory#createBot
+     * @param {server.core.Room} room - Room instance.
+     * @return {shared.core.Entity} Entity instance.
+     */
+    , createBot: function(room) {
+        var data = this.loadData('player')
+            , entity = new Entity(data)
+            , team = room.teams.findWeakest()
+            , body = new Body(data.key, entity);
+
+        // set initial entity attributes
+        entity.attrs.set({
+            name: room.generatePlayerName()
+        });
+
+        entity.components.add(new PhysicsComponent(body, room.world));
+        entity.components.add(new AttackComponent());
+        entity.components.add(new AiComponent(room));
+        entity.components.add(new HealthComponent());
+        entity.components.add(new PlayerComponent(team));
+        entity.components.add(new HistoryComponent(config.lagCompensationMsec));
 
         return entity;
     }
     /**
      * Create a new flag entity.
-     * @method client.core.EntityFactory#createFlag
+     * @method server.core.EntityFactory#createFlag
+     * @param {object} data - Entity data.
+     * @param {server.core.Room} room - Room instance.
      * @return {shared.core.Entity} Entity instance.
      */
-    , createFlag: function(data) {
+    , createFlag: function(data, room) {
         var entity = new Entity(data)
             , body = new Body(data.key, entity);
 
-        entity.components.add(new PhysicsComponent(body, this.room.world));
-        entity.components.add(new FlagComponent(this.room));
+        entity.components.add(new PhysicsComponent(body, room.world));
+        entity.components.add(new FlagComponent(room));
 
         return entity;
     }
@@ -89,7 +122,7 @@ EntityFactory = {
      */
     , loadData: function(key) {
         var data = DataManager.getEntity(key);
-        return {id: shortid.generate(), key: data.key, attrs: _.clone(data.attrs)};
+        return {id: shortid.generate(), key: data.key, attrs: _.clone(data.attrs), static: data.static};
     }
 };
 
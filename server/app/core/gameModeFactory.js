@@ -0,0 +1,38 @@
+'use strict';
+
+var Domination = require('../modes/domination')
+    , CaptureTheFlag = require('../modes/captureTheFlag')
+    , KingOfTheHill = require('../modes/kingOfTheHill')
+    , TeamDeathmatch = require('../modes/teamDeathmatch')
+    , GameModeFactory;
+
+/**
+ * Game mode factory static class.
+ * @class server.core.GameModeFactory
+ * @classdesc Factory class for creating game modes.
+ */
+GameModeFactory = {
+    /**
+     * Creates a new game mode.
+     * @method server.core.GameModeFactory#create
+     * @param {string} key - Game mode type (domination, ctf, koth or tdm).
+     * @param {server.core.Room} room - Room instance.
+     * @return {server.modes.GameMode} Game mode instance.
+     */
+    create: function(key, room) {
+        switch (key) {
+            case 'ctf':
+                return new CaptureTheFlag(room);
+            case 'koth':
+                return new KingOfTheHill(room);
+            case 'tdm':
+                return new TeamDeathmatch(room);
+            case 'domination':
+                return new Domination(room);
+            default:
+                throw new Error('Unknown game mode ' + key + '.');
+        }
+    }
+};
+
+module.exports = GameModeFactory;
@@ -0,0 +1,51 @@
+'use strict';
+
+var _ = require('lodash')
+    , NavigationGrid = require('./navigationGrid')
+    , NavigationFactory;
+
+/**
+ * Navigation factory static class.
+ * @class server.core.NavigationFactory
+ * @classdesc Factory class for creating navigation grids, the grids are shared by all rooms that use the same map.
+ */
+NavigationFactory = {
+    /**
+     * @property {object} grids - Map of cached grids (map key => grid and the walls it was built from).
+     */
+    grids: {}
+    /**
+     * Returns the navigation grid for the given tilemap, the grid is built if the walls have changed.
+     * @method server.core.NavigationFactory#create
+     * @param {server.core.Tilemap} tilemap - Tilemap instance, must be initialized.
+     * @return {server.core.NavigationGrid} Grid instance.
+     */
+    , create: function(tilemap) {
+        var walls = tilemap.getWalls()
+            , cached = this.grids[tilemap.key];
+
+        if (!cached || !_.isEqual(cached.walls, walls)) {
+            cached = {walls: walls, grid: this.build(tilemap, walls)};
+            this.grids[tilemap.key] = cached;
+        }
+
+        return cached.grid;
+    }
+    /**
+     * Builds a navigation grid from the given walls at tile resolution.
+     * @method server.core.NavigationFactory#build
+     * @param {server.core.Tilemap} tilemap - Tilemap instance.
+     * @param {array} walls - List of serialized walls.
+     * @return {server.core.NavigationGrid} Grid instance.
+     */
+    , build: function(tilemap, walls) {
+        var grid = new NavigationGrid(tilemap.width, tilemap.height, tilemap.tileWidth, tilemap.tileHeight);
+
+        _.each(walls, grid.block, grid);
+        grid.build();
+
+        return grid;
+    }
+};
+
+module.exports = NavigationFactory;
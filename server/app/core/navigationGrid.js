@@ -0,0 +1,290 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , PriorityQueue = require('../utils/priorityQueue')
+    , NavigationGrid;
+
+/**
+ * Navigation grid class.
+ * @class server.core.NavigationGrid
+ * @classdesc Grid of walkable cells on the map that can be used for planning routes.
+ */
+NavigationGrid = utils.inherit(null, {
+    /**
+     * Creates a new grid.
+     * @constructor
+     * @param {number} width - Width of the grid in number of cells.
+     * @param {number} height - Height of the grid in number of cells.
+     * @param {number} cellWidth - Width of each cell in pixels.
+     * @param {number} cellHeight - Height of each cell in pixels.
+     */
+    constructor: function(width, height, cellWidth, cellHeight) {
+        /**
+         * @property {number} width - Width of the grid in number of cells.
+         */
+        this.width = width;
+        /**
+         * @property {number} height - Height of the grid in number of cells.
+         */
+        this.height = height;
+        /**
+         * @property {number} cellWidth - Width of each cell in pixels.
+         */
+        this.cellWidth = cellWidth;
+        /**
+         * @property {number} cellHeight - Height of each cell in pixels.
+         */
+        this.cellHeight = cellHeight;
+
+        // internal properties
+        this._blocked = [];
+        this._clearance = [];
+
+        for (var i = 0; i < width * height; i++) {
+            this._blocked.push(false);
+            this._clearance.push(0);
+        }
+    }
+    /**
+     * Marks the cells covered by the given area as blocked.
+     * @method server.core.NavigationGrid#block
+     * @param {object} area - Area in pixels (e.g. a wall).
+     */
+    , block: function(area) {
+        var left = Math.max(Math.floor(area.x / this.cellWidth), 0)
+            , top = Math.max(Math.floor(area.y / this.cellHeight), 0)
+            , right = Math.min(Math.ceil((area.x + area.width) / this.cellWidth), this.width)
+            , bottom = Math.min(Math.ceil((area.y + area.height) / this.cellHeight), this.height)
+            , x, y;
+
+        for (y = top; y < bottom; y++) {
+            for (x = left; x < right; x++) {
+                this._blocked[this.index(x, y)] = true;
+            }
+        }
+    }
+    /**
+     * Calculates how large a body can be at each cell, call this after blocking the cells.
+     * The clearance of a cell is the size (in cells) of the largest free square that starts from it.
+     * @method server.core.NavigationGrid#build
+     */
+    , build: function() {
+        var x, y, right, below, diagonal;
+
+        for (y = this.height - 1; y >= 0; y--) {
+            for (x = this.width - 1; x >= 0; x--) {
+                if (this._blocked[this.index(x, y)]) {
+                    this._clearance[this.index(x, y)] = 0;
+                } else {
+                    right = x + 1 < this.width ? this._clearance[this.index(x + 1, y)] : 0;
+                    below = y + 1 < this.height ? this._clearance[this.index(x, y + 1)] : 0;
+                    diagonal = x + 1 < this.width && y + 1 < this.height ? this._clearance[this.index(x + 1, y + 1)] : 0;
+                    this._clearance[this.index(x, y)] = 1 + Math.min(right, below, diagonal);
+                }
+            }
+        }
+    }
+    /**
+     * Returns whether a body of the given size fits at the given position without touching any walls.
+     * @method server.core.NavigationGrid#isWalkable
+     * @param {number} x - Position on the x-axis (in pixels).
+     * @param {number} y - Position on the y-axis (in pixels).
+     * @param {number} width - Body width (in pixels).
+     * @param {number} height - Body height (in pixels).
+     * @return {boolean} The result.
+     */
+    , isWalkable: function(x, y, width, height) {
+        var left = Math.floor(x / this.cellWidth)
+            , top = Math.floor(y / this.cellHeight)
+            , right = Math.ceil((x + width) / this.cellWidth)
+            , bottom = Math.ceil((y + height) / this.cellHeight)
+            , cellX, cellY;
+
+        if (left < 0 || top < 0 || right > this.width || bottom > this.height) {
+            return false;
+        }
+
+        for (cellY = top; cellY < bottom; cellY++) {
+            for (cellX = left; cellX < right; cellX++) {
+                if (this._blocked[this.index(cellX, cellY)]) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+    /**
+     * Finds the shortest route for a body of the given size between two positions using A*.
+     * The body may move diagonally but it does not cut corners.
+     * @method server.core.NavigationGrid#findPath
+     * @param {object} from - Start position (top-left corner of the body in pixels).
+     * @param {object} to - Goal position (top-left corner of the body in pixels).
+     * @param {number} width - Body width (in pixels).
+     * @param {number} height - Body height (in pixels).
+     * @return {array|null} List of positions to move through (excluding the start), or null if there is no route.
+     */
+    , findPath: function(from, to, width, height) {
+        var size = Math.max(Math.ceil(width / this.cellWidth), Math.ceil(height / this.cellHeight))
+            , start = this.findNearestCell(from, size)
+            , goal = this.findNearestCell(to, size)
+            , open = new PriorityQueue()
+            , costs = {}
+            , parents = {}
+            , closed = {}
+            , current, neighbours, cost;
+
+        if (!start || !goal) {
+            return null;
+        }
+
+        costs[start.index] = 0;
+        open.push(start, this.estimateCost(start, goal));
+
+        while (!open.isEmpty()) {
+            current = open.pop();
+
+            if (current.index === goal.index) {
+                return this.createPath(parents, current);
+            }
+            if (closed[current.index]) {
+                continue;
+            }
+
+            closed[current.index] = true;
+            neighbours = this.findNeighbours(current, size);
+
+            for (var i = 0; i < neighbours.length; i++) {
+                cost = costs[current.index] + neighbours[i].cost;
+
+                if (!closed[neighbours[i].index] && (_.isUndefined(costs[neighbours[i].index]) || cost < costs[neighbours[i].index])) {
+                    costs[neighbours[i].index] = cost;
+                    parents[neighbours[i].index] = current;
+                    open.push(neighbours[i], cost + this.estimateCost(neighbours[i], goal));
+                }
+            }
+        }
+
+        return null;
+    }
+    /**
+     * Returns the walkable cells next to the given cell.
+     * @method server.core.NavigationGrid#findNeighbours
+     * @param {object} cell - Cell object.
+     * @param {number} size - Body size (in cells).
+     * @return {array} List of cell objects.
+     */
+    , findNeighbours: function(cell, size) {
+        var neighbours = []
+            , dx, dy, x, y;
+
+        for (dy = -1; dy <= 1; dy++) {
+            for (dx = -1; dx <= 1; dx++) {
+                x = cell.x + dx;
+                y = cell.y + dy;
+
+                if ((dx === 0 && dy === 0) || !this.fits(x, y, size)) {
+                    continue;
+                }
+                // moving diagonally is only allowed when both of the cells next to it are free
+                if (dx !== 0 && dy !== 0 && (!this.fits(cell.x + dx, cell.y, size) || !this.fits(cell.x, cell.y + dy, size))) {
+                    continue;
+                }
+
+                neighbours.push(this.createCell(x, y, dx !== 0 && dy !== 0 ? Math.SQRT2 : 1));
+            }
+        }
+
+        return neighbours;
+    }
+    /**
+     * Returns the walkable cell closest to the given position.
+     * @method server.core.NavigationGrid#findNearestCell
+     * @param {object} position - Position (in pixels).
+     * @param {number} size - Body size (in cells).
+     * @return {object|null} Cell object, or null if there is no walkable cell nearby.
+     */
+    , findNearestCell: function(position, size) {
+        var x = Math.round(position.x / this.cellWidth)
+            , y = Math.round(position.y / this.cellHeight)
+            , radius, dx, dy;
+
+        // the body may overlap several cells so we also look at the surrounding cells
+        for (radius = 0; radius <= size; radius++) {
+            for (dy = -radius; dy <= radius; dy++) {
+                for (dx = -radius; dx <= radius; dx++) {
+                    if (this.fits(x + dx, y + dy, size)) {
+                        return this.createCell(x + dx, y + dy, 0);
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+    /**
+     * Returns whether a body of the given size fits in the given cell.
+     * @method server.core.NavigationGrid#fits
+     * @param {number} x - Cell position on the x-axis.
+     * @param {number} y - Cell position on the y-axis.
+     * @param {number} size - Body size (in cells).
+     * @return {boolean} The result.
+     */
+    , fits: function(x, y, size) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height && this._clearance[this.index(x, y)] >= size;
+    }
+    /**
+     * Estimates the cost of moving between two cells (octile distance).
+     * @method server.core.NavigationGrid#estimateCost
+     * @param {object} cell - Cell object.
+     * @param {object} other - Other cell object.
+     * @return {number} Estimated cost.
+     */
+    , estimateCost: function(cell, other) {
+        var dx = Math.abs(cell.x - other.x)
+            , dy = Math.abs(cell.y - other.y);
+
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+    /**
+     * Creates the path by walking back from the given cell to the start.
+     * @method server.core.NavigationGrid#createPath
+     * @param {object} parents - Map of the cell that each cell was reached from.
+     * @param {object} cell - Last cell in the path.
+     * @return {array} List of positions (in pixels).
+     */
+    , createPath: function(parents, cell) {
+        var path = [];
+
+        while (parents[cell.index]) {
+            path.unshift({x: cell.x * this.cellWidth, y: cell.y * this.cellHeight});
+            cell = parents[cell.index];
+        }
+
+        return path;
+    }
+    /**
+     * Creates a cell object.
+     * @method server.core.NavigationGrid#createCell
+     * @param {number} x - Cell position on the x-axis.
+     * @param {number} y - Cell position on the y-axis.
+     * @param {number} cost - Cost of moving to the cell.
+     * @return {object} Cell object.
+     */
+    , createCell: function(x, y, cost) {
+        return {x: x, y: y, index: this.index(x, y), cost: cost};
+    }
+    /**
+     * Returns the index of the given cell.
+     * @method server.core.NavigationGrid#index
+     * @param {number} x - Cell position on the x-axis.
+     * @param {number} y - Cell position on the y-axis.
+     * @return {number} Cell index.
+     */
+    , index: function(x, y) {
+        return y * this.width + x;
+    }
+});
+
+module.exports = NavigationGrid;
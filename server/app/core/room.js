@@ -1,13 +1,14 @@
 'use strict';
 
-var path = require('path')
-    , _ = require('lodash')
+var _ = require('lodash')
     , shortid = require('shortid')
     , Chance = require('chance')
     , utils = require('../../../shared/utils')
     , Node = require('../../../shared/core/node')
     , DataManager = require('./dataManager')
     , TilemapFactory = require('./tilemapFactory')
+    , NavigationFactory = require('./navigationFactory')
+    , GameModeFactory = require('./gameModeFactory')
     , Client = require('./client')
     , List = require('../../../shared/utils/list')
     , Hashmap = require('../../../shared/utils/hashmap')
@@ -17,7 +18,9 @@ var path = require('path')
     , EntityHashmap = require('../../../shared/utils/entityHashmap')
     , EntityFactory = require('./entityFactory')
     , Snapshot = require('../../../shared/core/snapshot')
+    , Codec = require('../../../shared/core/codec')
     , World = require('../../../shared/physics/world')
+    , FixedTimestep = require('../../../shared/utils/fixedTimestep')
     , Team = require('./team')
     , config = require('../config.json')
     , Room;
@@ -32,23 +35,23 @@ Room = utils.inherit(Node, {
     /**
      * Creates a new room.
      * @constructor
-     * @param {Primus.Server} primus - Primus server instance.
+     * @param {string} id - Room identifier, omit to generate one.
+     * @param {number} maxPlayers - Maximum number of players in the room.
      */
-    constructor: function(primus) {
+    constructor: function(id, maxPlayers) {
         Node.apply(this);
 
-        // resolve the data path and load the game data
-        var dataPath = path.resolve(__dirname + '/../../../data');
-        DataManager.loadData(dataPath);
+        // inherited properties
+        this.key = 'room';
 
         /**
          * @property {string} id - Indentifier for the room.
          */
-        this.id = shortid.generate();
+        this.id = id || shortid.generate();
         /**
-         * @property {Primus.Server} primus - Primus server instance.
+         * @property {number} maxPlayers - Maximum number of players in the room.
          */
-        this.primus = primus;
+        this.maxPlayers = maxPlayers;
         /**
          * @property {server.core.Tilemap} tilemap - Tilemap instance.
          */
@@ -60,7 +63,15 @@ Room = utils.inherit(Node, {
         /**
          * @property {shared.physics.World} world - Physical world.
          */
-        this.world = new World(this.tilemap.calculateWidth(), this.tilemap.calculateHeight());
+        this.world = new World(
+            this.tilemap.calculateWidth()
+            , this.tilemap.calculateHeight()
+            , config.gameTileSize
+        );
+        /**
+         * @property {server.core.NavigationGrid} navigation - Navigation grid for planning routes on the map.
+         */
+        this.navigation = null;
         /**
          * @property {number} flagCount - Number of available banners.
          */
@@ -81,16 +92,29 @@ Room = utils.inherit(Node, {
          * @property {Chance} chance - Random generator.
          */
         this.chance = new Chance();
+        /**
+         * @property {shared.core.Codec} codec - Codec for the binary protocol.
+         */
+        this.codec = new Codec(Codec.prototype.createEntityKeys(DataManager.getEntities()));
+        /**
+         * @property {server.modes.GameMode} mode - Game mode, decides how points are scored and when the game is won.
+         */
+        this.mode = GameModeFactory.create((config.roomGameModes || {})[this.id] || config.gameMode, this);
 
         // internal variables
         this._clients = new ClientList();
+        this._queue = new List();
+        this._bots = new List();
         this._names = new List();
         this._lastSyncAt = null;
-        this._lastTickAt = null;
+        this._lastScoresAt = null;
+        this._overtime = false;
+        this._timestep = new FixedTimestep(config.tickRate);
         this._gameStartedAt = null;
-        this._lastPointsAt = null;
         this._snapshotSequence = 0;
         this._running = true;
+        this._loopId = null;
+        this._resetId = null;
 
         console.log(' game room %s created', this.id);
     }
@@ -99,25 +123,36 @@ Room = utils.inherit(Node, {
      * @method server.core.Room#init
      */
     , init: function() {
-        // event handler for when a client connects
-        this.primus.on('connection', this.onConnection.bind(this));
-
-        EntityFactory.room = this;
-
         // create teams and reset the map and the flags
         this.resetTilemap();
         this.createTeams();
         this.resetFlags();
+        this.mode.init();
 
         // mark the time when the game started
-        var now = _.now();
-        this._gameStartedAt = now;
-        this._lastTickAt = now;
+        this._gameStartedAt = _.now();
+        this._overtime = false;
 
         this._running = true;
+        this.balanceBots();
 
         // start the game loop for this room with the configured tick rate
-        setInterval(this.gameLoop.bind(this), 1000 / config.tickRate);
+        this._loopId = setInterval(this.gameLoop.bind(this), 1000 / config.tickRate);
+    }
+    /**
+     * Stops the game loop and removes everything from this room.
+     * @method server.core.Room#destroy
+     */
+    , destroy: function() {
+        this._running = false;
+
+        clearInterval(this._loopId);
+        clearTimeout(this._resetId);
+
+        this.entities.clear();
+        this._clients.clear();
+
+        console.log(' game room %s removed', this.id);
     }
     /**
      * Creates the teams for the room.
@@ -138,49 +173,335 @@ Room = utils.inherit(Node, {
      * @param {Primus.Spark} spark - Spark instance.
      */
     , onConnection: function(spark) {
-        if (this._running) {
-            var client = new Client(spark, this);
-            client.init();
-            this._clients.add(client);
+        if (this._running && !this.isFull()) {
+            this.admit(spark);
+        } else {
+            this.enqueue(spark);
         }
     }
+    /**
+     * Lets a client into this room.
+     * @method server.core.Room#admit
+     * @param {Primus.Spark} spark - Spark instance.
+     */
+    , admit: function(spark) {
+        var client = new Client(spark, this);
+        this._clients.add(client);
+        client.on('client.disconnect', this.onClientDisconnect.bind(this));
+        client.init();
+    }
+    /**
+     * Resumes the session with the given token using the given spark.
+     * @method server.core.Room#resume
+     * @param {Primus.Spark} spark - Spark instance.
+     * @param {string} token - Session token.
+     * @return {boolean} Whether the session was resumed.
+     */
+    , resume: function(spark, token) {
+        var client = null;
+
+        this._clients.each(function(candidate) {
+            if (candidate.suspended && candidate.token === token) {
+                client = candidate;
+            }
+        }, this);
+
+        if (!client) {
+            return false;
+        }
+
+        client.resume(spark);
+
+        // the game was reset while the client was away, so it needs to start the new game
+        if (this._running && !client.getPlayer()) {
+            client.resetGame();
+        }
+
+        return true;
+    }
+    /**
+     * Adds a client to the wait queue for this room.
+     * @method server.core.Room#enqueue
+     * @param {Primus.Spark} spark - Spark instance.
+     */
+    , enqueue: function(spark) {
+        this._queue.add(spark);
+        spark.on('end', this.onQueuedDisconnect.bind(this, spark));
+
+        console.log('  spark %s queued for room %s (position %d)', spark.id, this.id, this._queue.size());
+        spark.emit('client.queue', this._queue.size(), this.id);
+    }
+    /**
+     * Event handler for when a queued client disconnects.
+     * @method server.core.Room#onQueuedDisconnect
+     * @param {Primus.Spark} spark - Spark instance.
+     */
+    , onQueuedDisconnect: function(spark) {
+        // the spark may already have been admitted
+        if (this._queue.remove(spark)) {
+            this.updateQueue();
+        }
+    }
+    /**
+     * Admits queued clients as long as there are free slots in this room.
+     * @method server.core.Room#admitQueued
+     */
+    , admitQueued: function() {
+        var admitted = false
+            , spark;
+
+        while (this._running && !this.isFull() && !this._queue.isEmpty()) {
+            spark = this._queue.first();
+            this._queue.remove(spark);
+            this.admit(spark);
+            admitted = true;
+        }
+
+        if (admitted) {
+            this.updateQueue();
+        }
+    }
+    /**
+     * Sends the current queue position to each queued client.
+     * @method server.core.Room#updateQueue
+     */
+    , updateQueue: function() {
+        var position = 0;
+
+        this._queue.each(function(spark) {
+            spark.emit('client.queue', ++position, this.id);
+        }, this);
+    }
+    /**
+     * Returns the number of clients waiting to join this room.
+     * @method server.core.Room#queueSize
+     * @return {number} Number of queued clients.
+     */
+    , queueSize: function() {
+        return this._queue.size();
+    }
+    /**
+     * Event handler for when a client disconnects from this room.
+     * @method server.core.Room#onClientDisconnect
+     * @param {server.core.Client} client - Client instance.
+     */
+    , onClientDisconnect: function(client) {
+        this._clients.remove(client);
+
+        if (this.size() === 0 && this._queue.isEmpty()) {
+            this.trigger('room.empty', this);
+        }
+    }
+    /**
+     * Sends an event to all clients in this room.
+     * @method server.core.Room#broadcast
+     * @param {string} event - Event type.
+     */
+    , broadcast: function() {
+        var args = arguments;
+
+        this._clients.each(function(client) {
+            client.emit.apply(client, args);
+        }, this);
+    }
+    /**
+     * Sends a gameplay event to all clients in this room through their event streams.
+     * @method server.core.Room#broadcastEvent
+     * @param {string} type - Event type.
+     * @param {object} data - Event data.
+     */
+    , broadcastEvent: function(type, data) {
+        this._clients.each(function(client) {
+            client.queueEvent(type, data);
+        }, this);
+    }
+    /**
+     * Sends the pending gameplay events to the clients in this room.
+     * @method server.core.Room#sendEvents
+     */
+    , sendEvents: function() {
+        this._clients.each(function(client) {
+            client.sendEvents();
+        }, this);
+    }
+    /**
+     * Binds the event handlers for the given player, used for turning player events into gameplay events.
+     * @method server.core.Room#bindPlayerEvents
+     * @param {shared.core.Entity} player - Player entity.
+     */
+    , bindPlayerEvents: function(player) {
+        player.on('entity.damage', this.onPlayerDamage.bind(this));
+        player.on('entity.kill', this.onPlayerKill.bind(this));
+    }
+    /**
+     * Event handler for when a player takes damage.
+     * @method server.core.Room#onPlayerDamage
+     * @param {number} amount - Amount of damage.
+     * @param {shared.core.Entity} attacker - Entity attacking.
+     * @param {shared.core.Entity} player - Player entity.
+     */
+    , onPlayerDamage: function(amount, attacker, player) {
+        this.broadcastEvent('player.hit', {
+            attacker: this.describePlayer(attacker)
+            , victim: this.describePlayer(player)
+            , amount: amount
+        });
+    }
+    /**
+     * Event handler for when a player kills another player.
+     * @method server.core.Room#onPlayerKill
+     * @param {shared.core.Entity} other - Player killed.
+     * @param {shared.core.Entity} player - Player entity.
+     */
+    , onPlayerKill: function(other, player) {
+        this.broadcastEvent('player.killed', {
+            killer: this.describePlayer(player)
+            , victim: this.describePlayer(other)
+        });
+
+        this.mode.onPlayerKill(other, player);
+    }
+    /**
+     * Returns the details needed for describing the given player in gameplay events.
+     * Clients may not know about the player because of interest management.
+     * @method server.core.Room#describePlayer
+     * @param {shared.core.Entity} player - Player entity.
+     * @return {object} Player details.
+     */
+    , describePlayer: function(player) {
+        return {
+            id: player.id
+            , name: player.attrs.get('name')
+            , team: player.attrs.get('team')
+            , teamColor: player.attrs.get('teamColor')
+        };
+    }
+    /**
+     * Returns the number of clients in this room, clients that may still reconnect are included.
+     * @method server.core.Room#size
+     * @return {number} Number of clients.
+     */
+    , size: function() {
+        var size = 0;
+
+        this._clients.each(function(client) {
+            if (client.connected || client.suspended) {
+                size++;
+            }
+        }, this);
+
+        return size;
+    }
+    /**
+     * Returns whether this room has reached its maximum number of players.
+     * @method server.core.Room#isFull
+     * @return {boolean} The result.
+     */
+    , isFull: function() {
+        return this.size() >= this.maxPlayers;
+    }
+    /**
+     * Serializes this room to JSON.
+     * @method server.core.Room#serialize
+     * @return {object} Serialized room.
+     */
+    , serialize: function() {
+        return {
+            id: this.id
+            , mapKey: this.tilemap.key
+            , gameMode: this.mode.serialize()
+            , clientCount: this.size()
+            , playerCount: this.playerCount
+            , maxPlayers: this.maxPlayers
+            , queueSize: this.queueSize()
+            , running: this._running
+        };
+    }
     /**
      * Updates the logic for this room.
      * @method server.core.Room#gameLoop
      */
     , gameLoop: function() {
         if (this._running) {
-            var now = _.now()
-                , elapsed = now - this._lastTickAt;
+            // simulate in fixed steps so that the result does not depend on timer accuracy
+            this._timestep.advance(this.updateEntities, this);
 
-            this.updateEntities(elapsed);
-            this.updatePoints();
+            this.mode.update();
             this.syncClients();
+            this.syncScores();
+            this.sendEvents();
             this.checkGameEnded();
+        }
+    }
+    /**
+     * Adds bots to teams that are short of players and removes them when players take their place,
+     * called whenever the amount of players changes.
+     * @method server.core.Room#balanceBots
+     */
+    , balanceBots: function() {
+        var weakest = this.teams.findWeakest()
+            , surplus = {}
+            , removed = [];
+
+        if (!this._running) {
+            return;
+        }
 
-            this._lastTickAt = now;
+        // bots join the weakest team, so this fills up every team that is short of players
+        while (weakest && weakest.size() < config.botMinTeamSize) {
+            this.addBot();
+            weakest = this.teams.findWeakest();
         }
+
+        this.teams.each(function(team, key) {
+            surplus[key] = team.size() - config.botMinTeamSize;
+        }, this);
+
+        this._bots.each(function(bot) {
+            if (surplus[bot.attrs.get('team')] > 0) {
+                surplus[bot.attrs.get('team')]--;
+                removed.push(bot);
+            }
+        }, this);
+
+        _.each(removed, this.removeBot, this);
     }
     /**
-     * Updates the entities in the room.
+     * Adds a bot to the weakest team.
+     * @method server.core.Room#addBot
+     */
+    , addBot: function() {
+        var bot = EntityFactory.createBot(this);
+
+        this.entities.add(bot.id, bot);
+        this.bindPlayerEvents(bot);
+        this._bots.add(bot);
+
+        console.log('  bot %s joined room %s', bot.id, this.id);
+    }
+    /**
+     * Removes a bot from the room.
+     * @method server.core.Room#removeBot
+     * @param {shared.core.Entity} bot - Bot entity.
+     */
+    , removeBot: function(bot) {
+        this._bots.remove(bot);
+        bot.remove();
+
+        this.broadcast('player.leave', bot.id);
+
+        console.log('  bot %s left room %s', bot.id, this.id);
+    }
+    /**
+     * Updates the entities in the room by a single step.
      * @method server.core.Room#updateEntities
+     * @param {number} elapsed - Length of the step (in msec).
      */
     , updateEntities: function(elapsed) {
         this.entities.each(function(entity) {
             entity.update(elapsed);
         }, this);
     }
-    /**
-     * Updates the points in the room.
-     * @method server.core.Room#updatePoints
-     */
-    , updatePoints: function() {
-        var now = _.now();
-
-        if (!this._lastPointsAt || now - this._lastPointsAt > config.gamePointsSec * 1000) {
-            this.awardFlagPoints();
-        }
-    }
     /**
      * Synchronizes the current game state to the clients in the room.
      * @method server.core.Room#syncClients
@@ -191,17 +512,28 @@ Room = utils.inherit(Node, {
         if (!this._lastSyncAt || now - this._lastSyncAt > 1000 / config.syncRate) {
             var snapshot = this.createSnapshot();
 
-            // TODO filter the snapshot based on where the player is
-
             this._clients.each(function(client) {
-                if (client) {
-                    client.syncGame(snapshot);
+                if (client.connected) {
+                    client.syncGame(this.filterSnapshot(snapshot, client.getPlayer()));
                 }
             }, this);
 
             this._lastSyncAt = now;
         }
     }
+    /**
+     * Synchronizes the scores to the clients in the room, this is done less often than
+     * synchronizing the game state because the scores are only used for the scoreboard.
+     * @method server.core.Room#syncScores
+     */
+    , syncScores: function() {
+        var now = _.now();
+
+        if (!this._lastScoresAt || now - this._lastScoresAt > config.scoresSyncSec * 1000) {
+            this.broadcast('game.scores', this.createScores());
+            this._lastScoresAt = now;
+        }
+    }
     /**
      * Checks if the game in the room has ended and ends it if necessary.
      * @method server.core.Room#checkGameEnded
@@ -209,10 +541,34 @@ Room = utils.inherit(Node, {
     , checkGameEnded: function() {
         var now = _.now();
 
-        if ((now - this._gameStartedAt) > (config.gameLengthSec * 1000)) {
+        if (!this._overtime) {
+            if ((now - this._gameStartedAt) > (config.gameLengthSec * 1000) || this.mode.isGameOver()) {
+                this.endGame();
+            }
+        } else if (this.isOvertimeOver() || !this.rankTeams(this.createScores()).overtime) {
+            // in sudden death the game ends as soon as the tie is broken
             this.endGame();
         }
     }
+    /**
+     * Returns whether the overtime period has run out.
+     * @method server.core.Room#isOvertimeOver
+     * @return {boolean} The result.
+     */
+    , isOvertimeOver: function() {
+        return (_.now() - this._gameStartedAt) > ((config.gameLengthSec + config.gameOvertimeSec) * 1000);
+    }
+    /**
+     * Starts the sudden death overtime period.
+     * @method server.core.Room#startOvertime
+     */
+    , startOvertime: function() {
+        this._overtime = true;
+
+        console.log(' game in room %s is tied, starting overtime', this.id);
+
+        this.broadcastEvent('game.overtime', {durationSec: config.gameOvertimeSec});
+    }
     /**
      * Creates a snapshot of the current game state.
      * @method server.core.Room#createSnapshot
@@ -225,7 +581,8 @@ Room = utils.inherit(Node, {
         snapshot = new Snapshot();
         snapshot.sequence = this._snapshotSequence++;
         snapshot.createdAt = now;
-        snapshot.entities = this.entities.serialize();
+        snapshot.entities = this.entities.serialize(true/* dynamic only */);
+        snapshot.statics = this.entities.serializeStatic();
         snapshot.flags = this.flags.serialize();
         snapshot.teams = this.teams.serialize();
         snapshot.flagCount = this.flagCount;
@@ -235,22 +592,57 @@ Room = utils.inherit(Node, {
         return snapshot;
     }
     /**
-     * Awards points for flags.
-     * @method server.core.Room#awardFlagPoints
+     * Filters the given snapshot so that it only contains what the given player can see.
+     * @method server.core.Room#filterSnapshot
+     * @param {shared.core.Snapshot} snapshot - Snapshot instance.
+     * @param {shared.core.Entity|null} player - Player entity, or null if the client has no player.
+     * @return {shared.core.Snapshot} Filtered snapshot.
      */
-    , awardFlagPoints: function() {
-        var now = _.now()
-            , points = 0
-            , team;
-
-        this.flags.each(function(flags, key) {
-            points = config.gamePointsPerFlag * flags.length;
-            team = this.teams.get(key);
-            team.awardPointsToPlayers(points);
-            console.log('   players on team %s received %d points', key, points);
+    , filterSnapshot: function(snapshot, player) {
+        if (!config.enableInterestManagement) {
+            return snapshot;
+        }
+
+        var view = this.calculateView(player);
+
+        return snapshot.filter(function(entity, entityId) {
+            // flags are always visible and players can always see themselves
+            if (entity.key === 'flag' || (player && entityId === player.id)) {
+                return true;
+            }
+
+            var size = snapshot.statics[entityId] || {};
+
+            return view !== null &&
+                entity.attrs.x < view.right &&
+                entity.attrs.x + (size.width || 0) > view.x &&
+                entity.attrs.y < view.bottom &&
+                entity.attrs.y + (size.height || 0) > view.y;
         }, this);
+    }
+    /**
+     * Calculates the area of the map that the given player can see.
+     * @method server.core.Room#calculateView
+     * @param {shared.core.Entity|null} player - Player entity.
+     * @return {object|null} Area object, or null if the player cannot see anything.
+     */
+    , calculateView: function(player) {
+        if (!player) {
+            return null;
+        }
 
-        this._lastPointsAt = now;
+        var attrs = player.attrs.get(['x', 'y', 'width', 'height'])
+            , halfWidth = config.canvasWidth / 2 + config.interestMargin
+            , halfHeight = config.canvasHeight / 2 + config.interestMargin
+            , centerX = attrs.x + attrs.width / 2
+            , centerY = attrs.y + attrs.height / 2;
+
+        return {
+            x: centerX - halfWidth
+            , y: centerY - halfHeight
+            , right: centerX + halfWidth
+            , bottom: centerY + halfHeight
+        };
     }
     /**
      * Resets the flags in the room.
@@ -266,39 +658,143 @@ Room = utils.inherit(Node, {
      * @method server.core.Room#resetTilemap
      */
     , resetTilemap: function() {
+        // start from an empty world because the walls are added when the tilemap is parsed
+        this.world = new World(
+            this.tilemap.calculateWidth()
+            , this.tilemap.calculateHeight()
+            , config.gameTileSize
+        );
+
         this.tilemap.room = this;
         this.tilemap.init();
+
+        this.navigation = NavigationFactory.create(this.tilemap);
     }
     /**
      * Ends the game in the room.
      * @method server.core.Room#endGame
      */
     , endGame: function() {
+        // the results must be collected before the players are removed
+        var results = this.createResults();
+
+        // keep playing if the game is tied and the tie should be broken in overtime
+        if (results.overtime) {
+            this.startOvertime();
+            return;
+        }
+
         this._running = false;
 
-        var teamScores = this.teams.calculateScores()
-            , topScore;
+        if (results.draw) {
+            console.log(' game in room %s ended in a draw', this.id);
+        } else {
+            console.log(' game in room %s won by %s team with %d points', this.id, results.winner, results.teams[0].points);
+        }
 
-        // sort the scores so that the highest is first
-        teamScores.sort(function(a, b) {
-            return a.points > b.points;
-        });
+        this._clients.each(function(client) {
+            client.endGame(results);
+        }, this);
 
-        topScore = teamScores.pop();
-        console.log(' game in room %s won by %s team with %d points', this.id, topScore.team, topScore.points);
+        // remove the remaining entities (e.g. the flags and the bots) so that nothing is left behind for the next game
+        this.entities.each(function(entity) {
+            entity.remove();
+        }, this);
 
-        this.entities.clear();
+        this._bots.clear();
 
         this.teams.each(function(team) {
             team.removePlayers();
             team.resetPoints();
         }, this);
 
-        this._clients.each(function(client) {
-            client.endGame(topScore.team);
+        this._resetId = setTimeout(this.resetGame.bind(this), config.gameResetSec * 1000);
+    }
+    /**
+     * Creates the results for the game.
+     * @method server.core.Room#createResults
+     * @return {object} Game results.
+     */
+    , createResults: function() {
+        var teams = this.createScores();
+
+        return _.extend(this.rankTeams(teams), {
+            teams: teams
+            , resetSec: config.gameResetSec
+        });
+    }
+    /**
+     * Ranks the given teams by their points, ties are broken using the configured tie-breakers.
+     * The teams are sorted so that the team with the highest rank is first.
+     * @method server.core.Room#rankTeams
+     * @param {array} teams - List of team scores.
+     * @return {object} Ranking (winner, whether it is a draw, the tie-breaker used and whether overtime is needed).
+     */
+    , rankTeams: function(teams) {
+        var criteria = ['points']
+            , result = {winner: null, draw: false, tieBreaker: null, overtime: false}
+            , compare, tieBreaker, i;
+
+        compare = function(a, b) {
+            var diff = 0, j;
+
+            for (j = 0; j < criteria.length && diff === 0; j++) {
+                diff = b[criteria[j]] - a[criteria[j]];
+            }
+
+            return diff;
+        };
+
+        for (i = 0; i <= config.gameTieBreakers.length; i++) {
+            teams.sort(compare);
+
+            // the top team wins if it ranks higher than the second team
+            if (teams.length < 2 || compare(teams[0], teams[1]) < 0) {
+                result.winner = teams[0].name;
+                result.tieBreaker = tieBreaker || (this._overtime ? 'overtime' : null);
+                return result;
+            }
+
+            tieBreaker = config.gameTieBreakers[i];
+
+            if (tieBreaker === 'overtime') {
+                // overtime is used only once, after which we move on to the next tie-breaker
+                if (!this._overtime || !this.isOvertimeOver()) {
+                    result.overtime = true;
+                    return result;
+                }
+            } else if (tieBreaker) {
+                criteria.push(tieBreaker);
+            }
+        }
+
+        result.draw = true;
+
+        return result;
+    }
+    /**
+     * Creates the current standings for each team and its players, the team with the most points first.
+     * @method server.core.Room#createScores
+     * @return {array} List of team scores.
+     */
+    , createScores: function() {
+        var teams = [];
+
+        this.teams.each(function(team, key) {
+            var players = team.serializePlayers();
+
+            teams.push(_.extend(team.serialize(), {
+                flags: (this.flags.get(key) || []).length
+                , kills: _.reduce(players, function(sum, player) {
+                    return sum + player.kills;
+                }, 0)
+                , players: players
+            }));
         }, this);
 
-        setTimeout(this.resetGame.bind(this), config.gameResetSec * 1000);
+        return teams.sort(function(a, b) {
+            return b.points - a.points;
+        });
     }
     /**
      * Resets the game in the room.
@@ -306,13 +802,29 @@ Room = utils.inherit(Node, {
      */
     , resetGame: function() {
         this.resetFlags();
-        this._clients.clear();
 
+        // rebuild the world, the tilemap and the flags
         this.flagCount = 0;
-        this.tilemap.init();
+        this.resetTilemap();
+        this.mode.init();
+
         this._gameStartedAt = _.now();
+        this._overtime = false;
+        this._timestep.reset();
 
         this._running = true;
+        this.balanceBots();
+
+        // the connected clients stay in the room and start the new game right away,
+        // suspended clients start the new game when they resume their session
+        this._clients.each(function(client) {
+            if (client.connected) {
+                client.resetGame();
+            }
+        }, this);
+
+        // let in the clients that connected while the game was resetting
+        this.admitQueued();
     }
     /**
      * Generates a unique random player name.
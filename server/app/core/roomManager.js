@@ -0,0 +1,226 @@
+'use strict';
+
+var path = require('path')
+    , _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , Node = require('../../../shared/core/node')
+    , Hashmap = require('../../../shared/utils/hashmap')
+    , DataManager = require('./dataManager')
+    , Room = require('./room')
+    , config = require('../config.json')
+    , RoomManager;
+
+/**
+ * Room manager class.
+ * @class server.core.RoomManager
+ * @classdesc Lobby that creates, fills and tears down game rooms.
+ * @extends shared.core.Node
+ */
+RoomManager = utils.inherit(Node, {
+    /**
+     * Creates a new room manager.
+     * @constructor
+     * @param {Primus.Server} primus - Primus server instance.
+     */
+    constructor: function(primus) {
+        Node.apply(this);
+
+        // inherited properties
+        this.key = 'roomManager';
+
+        /**
+         * @property {Primus.Server} primus - Primus server instance.
+         */
+        this.primus = primus;
+
+        // internal properties
+        this._rooms = new Hashmap();
+        this._maxRooms = config.maxRooms || 1;
+        this._roomMaxPlayers = config.roomMaxPlayers || 100;
+    }
+    /**
+     * Initializes the room manager.
+     * @method server.core.RoomManager#init
+     */
+    , init: function() {
+        // resolve the data path and load the game data (shared by all rooms)
+        var dataPath = path.resolve(__dirname + '/../../../data');
+        DataManager.loadData(dataPath);
+
+        // create the first room so that there is always one to join
+        this.createRoom();
+
+        // event handler for when a client connects
+        this.primus.on('connection', this.onConnection.bind(this));
+    }
+    /**
+     * Event handler for when a client connects to the server.
+     * @method server.core.RoomManager#onConnection
+     * @param {Primus.Spark} spark - Spark instance.
+     */
+    , onConnection: function(spark) {
+        // the client lets us know whether it wants to resume an earlier session before it joins a room
+        spark.on('client.join', _.once(this.onJoin.bind(this, spark)));
+    }
+    /**
+     * Event handler for when a connected client wants to join a room.
+     * @method server.core.RoomManager#onJoin
+     * @param {Primus.Spark} spark - Spark instance.
+     * @param {string|null} token - Session token from an earlier connection, if any.
+     */
+    , onJoin: function(spark, token) {
+        var roomId = spark.query ? spark.query.room : null
+            , room;
+
+        if (_.isString(token) && this.resumeSession(spark, token)) {
+            return;
+        }
+
+        room = this.findRoom(roomId);
+
+        if (room) {
+            room.onConnection(spark);
+        } else {
+            console.log(' no room available for spark %s', spark.id);
+            spark.emit('client.roomUnavailable', roomId);
+            spark.end();
+        }
+    }
+    /**
+     * Resumes the session with the given token in the room where it was started.
+     * @method server.core.RoomManager#resumeSession
+     * @param {Primus.Spark} spark - Spark instance.
+     * @param {string} token - Session token.
+     * @return {boolean} Whether the session was resumed.
+     */
+    , resumeSession: function(spark, token) {
+        var resumed = false;
+
+        this._rooms.each(function(room) {
+            if (!resumed && room.resume(spark, token)) {
+                resumed = true;
+            }
+        }, this);
+
+        return resumed;
+    }
+    /**
+     * Returns the room that a new client should join (or queue for).
+     * @method server.core.RoomManager#findRoom
+     * @param {string|null} roomId - Identifier for the room requested by the client.
+     * @return {server.core.Room|null} Room instance, or null if no room is available.
+     */
+    , findRoom: function(roomId) {
+        var room = null;
+
+        if (_.isString(roomId) && roomId.length) {
+            room = this._rooms.get(roomId);
+
+            // create the requested room if it does not exist yet
+            if (!room && this.canCreateRoom()) {
+                room = this.createRoom(roomId);
+            }
+
+            return room || null;
+        }
+
+        // join the most populated room that still has room for players
+        // so that games fill up before new rooms are started
+        this._rooms.each(function(candidate) {
+            if (!candidate.isFull() && (!room || candidate.size() > room.size())) {
+                room = candidate;
+            }
+        }, this);
+
+        if (!room && this.canCreateRoom()) {
+            room = this.createRoom();
+        }
+
+        // all rooms are full, queue for the room with the shortest queue
+        if (!room) {
+            this._rooms.each(function(candidate) {
+                if (!room || candidate.queueSize() < room.queueSize()) {
+                    room = candidate;
+                }
+            }, this);
+        }
+
+        return room;
+    }
+    /**
+     * Returns whether a new room can be created.
+     * @method server.core.RoomManager#canCreateRoom
+     * @return {boolean} The result.
+     */
+    , canCreateRoom: function() {
+        return this._rooms.keys().length < this._maxRooms;
+    }
+    /**
+     * Creates and starts a new room.
+     * @method server.core.RoomManager#createRoom
+     * @param {string} roomId - Room identifier, omit to generate one.
+     * @return {server.core.Room} Room instance.
+     */
+    , createRoom: function(roomId) {
+        var room = new Room(roomId, this._roomMaxPlayers);
+
+        room.on('room.empty', this.onRoomEmpty.bind(this));
+        room.init();
+
+        this._rooms.add(room.id, room);
+
+        return room;
+    }
+    /**
+     * Event handler for when the last client leaves a room.
+     * @method server.core.RoomManager#onRoomEmpty
+     * @param {server.core.Room} room - Room instance.
+     */
+    , onRoomEmpty: function(room) {
+        // always keep at least one room running
+        if (this._rooms.keys().length > 1) {
+            this.removeRoom(room.id);
+        }
+    }
+    /**
+     * Stops and removes a specific room.
+     * @method server.core.RoomManager#removeRoom
+     * @param {string} roomId - Room identifier.
+     * @return {boolean} Whether the room was removed.
+     */
+    , removeRoom: function(roomId) {
+        var room = this._rooms.get(roomId);
+
+        if (room) {
+            room.destroy();
+            return this._rooms.remove(roomId);
+        }
+
+        return false;
+    }
+    /**
+     * Returns a specific room.
+     * @method server.core.RoomManager#getRoom
+     * @param {string} roomId - Room identifier.
+     * @return {server.core.Room} Room instance.
+     */
+    , getRoom: function(roomId) {
+        return this._rooms.get(roomId);
+    }
+    /**
+     * Serializes the rooms to JSON.
+     * @method server.core.RoomManager#serialize
+     * @return {array} List of serialized rooms.
+     */
+    , serialize: function() {
+        var rooms = [];
+
+        this._rooms.each(function(room) {
+            rooms.push(room.serialize());
+        }, this);
+
+        return rooms;
+    }
+});
+
+module.exports = RoomManager;
@@ -43,10 +43,27 @@ Team = utils.inherit(null, {
      * @return {object} Position object.
      */
     , spawnPosition: function() {
-        return {
-            x: this._room.chance.integer({min: this._base.x, max: this._base.right() - config.gameTileSize})
-            , y: this._room.chance.integer({min: this._base.y, max: this._base.bottom() - config.gameTileSize})
-        };
+        var attempts = 0
+            , position;
+
+        // avoid spawning inside walls if the base has any
+        do {
+            position = {
+                x: this._room.chance.integer({min: this._base.x, max: this._base.right() - config.gameTileSize})
+                , y: this._room.chance.integer({min: this._base.y, max: this._base.bottom() - config.gameTileSize})
+            };
+        } while (++attempts < 10 && this._room.navigation &&
+            !this._room.navigation.isWalkable(position.x, position.y, config.gameTileSize, config.gameTileSize));
+
+        return position;
+    }
+    /**
+     * Returns the base of the team.
+     * @method server.core.Team#getBase
+     * @return {server.core.Base} Base instance.
+     */
+    , getBase: function() {
+        return this._base;
     }
     /**
      * Adds a new player to the team.
@@ -82,6 +99,22 @@ Team = utils.inherit(null, {
     , removePlayers: function() {
         this._players.clear();
     }
+    /**
+     * Returns the statistics for the players in the team, the player with the most points first.
+     * @method server.core.Team#serializePlayers
+     * @return {array} List of player statistics.
+     */
+    , serializePlayers: function() {
+        var players = [];
+
+        this._players.each(function(player) {
+            players.push(player.components.get('player').serializeStats());
+        }, this);
+
+        return players.sort(function(a, b) {
+            return b.points - a.points;
+        });
+    }
     /**
      * Returns the amount of players in the team.
      * @method server.core.Team#size
@@ -98,6 +98,10 @@ Tilemap = utils.inherit(null, {
      * @method server.core.Tilemap#init
      */
     , init: function() {
+        // the tilemap is parsed again for each game
+        this._walls.clear();
+        this._bases.clear();
+
         // loop through the layers to find the collision layer
         _.forOwn(this.data.layers, function(layer) {
             switch (layer.name) {
@@ -139,7 +143,7 @@ Tilemap = utils.inherit(null, {
         var entity;
 
         _.forOwn(layer.objects, function(object) {
-            entity = EntityFactory.create(object.type);
+            entity = EntityFactory.create(object.type, this.room);
             entity.attrs.set({x: object.x, y: object.y});
             this.room.entities.add(entity.id, entity);
             this.room.flagCount++;
@@ -1,18 +1,44 @@
 'use strict';
 
-var utils = require('../../shared/utils')
-    , Room = require('./core/room');
+var _ = require('lodash')
+    , utils = require('../../shared/utils')
+    , RoomManager = require('./core/roomManager')
+    , config = require('./config.json')
+    , defaults = require('./config.dist.json');
+
+/**
+ * Fills in the configuration keys that are missing from config.json using config.dist.json.
+ * The config.json file is a copy that is not updated when new keys are added to the distributed configuration.
+ * @return {array} List of keys that were missing.
+ */
+function applyConfigDefaults() {
+    var missing = _.difference(_.keys(defaults), _.keys(config));
+
+    _.each(missing, function(key) {
+        config[key] = _.cloneDeep(defaults[key]);
+    });
+
+    if (missing.length) {
+        console.log(' config.json is missing %s, using the values from config.dist.json', missing.join(', '));
+    }
+
+    return missing;
+}
 
 /**
  * Runs the game.
  * @param {Primus.Server} io - Primus server instance.
+ * @return {server.core.RoomManager} Room manager instance.
  */
 function run(primus) {
+    var rooms;
 
-    // TODO add support for different rooms
+    // every module shares the same configuration object, so the defaults need to be applied before the rooms are created
+    applyConfigDefaults();
 
-    var room = new Room(primus);
-    room.init();
+    rooms = new RoomManager(primus);
+    rooms.init();
+    return rooms;
 }
 
 module.exports = {
@@ -0,0 +1,96 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , GameMode = require('./gameMode')
+    , config = require('../config.json')
+    , CaptureTheFlag;
+
+/**
+ * Capture the flag game mode class.
+ * @class server.modes.CaptureTheFlag
+ * @classdesc Game mode where the players pick up flags that their team does not own and carry them to their base.
+ * @extends server.modes.GameMode
+ */
+CaptureTheFlag = utils.inherit(GameMode, {
+    /**
+     * Creates a new game mode.
+     * @constructor
+     * @param {server.core.Room} room - Room instance.
+     */
+    constructor: function(room) {
+        GameMode.apply(this, arguments);
+
+        // inherited properties
+        this.key = 'ctf';
+        this.name = 'Capture the flag';
+        this.scoreLimit = config.ctfCaptureLimit * config.ctfPointsPerCapture;
+    }
+    /**
+     * @override
+     */
+    , update: function() {
+        var component, carrier, team;
+
+        _.each(this.findFlags(), function(flag) {
+            component = flag.components.get('flag');
+            carrier = component.getCarrier();
+
+            if (carrier) {
+                team = this._room.teams.get(carrier.attrs.get('team'));
+
+                if (team && this.isInBase(carrier, team)) {
+                    this.captureFlag(flag, carrier);
+                }
+            }
+        }, this);
+    }
+    /**
+     * @override
+     */
+    , updateFlag: function(flag, players, elapsed) {
+        var component = flag.components.get('flag');
+
+        // flags are picked up instantly, so the first player to touch the flag gets it
+        _.find(players, function(player) {
+            if (component.getTeam() !== player.attrs.get('team')) {
+                component.pickUp(player);
+                return true;
+            } else if (component.isDropped()) {
+                // players return their own flags by touching them
+                component.returnHome(true/* announce */);
+                return true;
+            }
+
+            return false;
+        }, this);
+    }
+    /**
+     * Captures the given flag for the team of its carrier and sends the flag back to where it came from.
+     * @method server.modes.CaptureTheFlag#captureFlag
+     * @param {shared.core.Entity} flag - Flag entity.
+     * @param {shared.core.Entity} carrier - Player entity.
+     */
+    , captureFlag: function(flag, carrier) {
+        var component = flag.components.get('flag');
+
+        component.capture(carrier);
+        component.returnHome();
+
+        this.awardPlayerPoints(carrier, config.ctfPointsPerCapture, 'capture');
+    }
+    /**
+     * Returns whether the center of the given player is inside the base of the given team.
+     * @method server.modes.CaptureTheFlag#isInBase
+     * @param {shared.core.Entity} player - Player entity.
+     * @param {server.core.Team} team - Team instance.
+     * @return {boolean} The result.
+     */
+    , isInBase: function(player, team) {
+        var attrs = player.attrs.get(['x', 'y', 'width', 'height']);
+
+        return team.getBase().contains(attrs.x + attrs.width / 2, attrs.y + attrs.height / 2);
+    }
+});
+
+module.exports = CaptureTheFlag;
@@ -0,0 +1,66 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , GameMode = require('./gameMode')
+    , config = require('../config.json')
+    , Domination;
+
+/**
+ * Domination game mode class.
+ * @class server.modes.Domination
+ * @classdesc Game mode where flags are captured by touching them and the teams receive points for the flags they hold.
+ * @extends server.modes.GameMode
+ */
+Domination = utils.inherit(GameMode, {
+    /**
+     * Creates a new game mode.
+     * @constructor
+     * @param {server.core.Room} room - Room instance.
+     */
+    constructor: function(room) {
+        GameMode.apply(this, arguments);
+
+        // inherited properties
+        this.key = 'domination';
+        this.name = 'Domination';
+        this.pointsPerKill = config.gamePointsPerKill;
+
+        // internal properties
+        this._lastPointsAt = null;
+    }
+    /**
+     * @override
+     */
+    , init: function() {
+        this._lastPointsAt = null;
+    }
+    /**
+     * @override
+     */
+    , update: function() {
+        var now = _.now();
+
+        if (!this._lastPointsAt || now - this._lastPointsAt > config.gamePointsSec * 1000) {
+            this.awardFlagPoints();
+            this._lastPointsAt = now;
+        }
+    }
+    /**
+     * @override
+     */
+    , updateFlag: function(flag, players, elapsed) {
+        flag.components.get('flag').updateProgress(players, elapsed);
+    }
+    /**
+     * Awards points to each team for the flags it holds.
+     * @method server.modes.Domination#awardFlagPoints
+     */
+    , awardFlagPoints: function() {
+        this._room.flags.each(function(flags, key) {
+            this.awardTeamPoints(this._room.teams.get(key), config.gamePointsPerFlag * flags.length, 'flags');
+        }, this);
+    }
+});
+
+module.exports = Domination;
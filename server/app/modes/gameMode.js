@@ -0,0 +1,162 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , GameMode;
+
+/**
+ * Game mode class.
+ * @class server.modes.GameMode
+ * @classdesc Base class for the game modes, a game mode decides how points are scored and when the game is won.
+ */
+GameMode = utils.inherit(null, {
+    /**
+     * Creates a new game mode.
+     * @constructor
+     * @param {server.core.Room} room - Room instance.
+     */
+    constructor: function(room) {
+        /**
+         * @property {string} key - Game mode key.
+         */
+        this.key = 'mode';
+        /**
+         * @property {string} name - Name shown to the players.
+         */
+        this.name = 'Game mode';
+        /**
+         * @property {number} pointsPerKill - Points awarded to a player for killing another player.
+         */
+        this.pointsPerKill = 0;
+        /**
+         * @property {number} scoreLimit - Points a team needs for winning the game, zero to play until the time runs out.
+         */
+        this.scoreLimit = 0;
+
+        // internal properties
+        this._room = room;
+    }
+    /**
+     * Initializes the game mode, called at the start of each game after the tilemap has been parsed.
+     * @method server.modes.GameMode#init
+     */
+    , init: function() {
+    }
+    /**
+     * Updates the game mode, called once per game loop after the entities have been updated.
+     * @method server.modes.GameMode#update
+     */
+    , update: function() {
+    }
+    /**
+     * Updates a flag that is not being carried, called on each step with the living players that touch the flag.
+     * @method server.modes.GameMode#updateFlag
+     * @param {shared.core.Entity} flag - Flag entity.
+     * @param {array} players - List of player entities.
+     * @param {number} elapsed - Time elapsed since the previous step (in msec).
+     */
+    , updateFlag: function(flag, players, elapsed) {
+    }
+    /**
+     * Event handler for when a player kills another player.
+     * @method server.modes.GameMode#onPlayerKill
+     * @param {shared.core.Entity} other - Player killed.
+     * @param {shared.core.Entity} player - Player entity.
+     */
+    , onPlayerKill: function(other, player) {
+        if (this.pointsPerKill > 0) {
+            this.awardPlayerPoints(player, this.pointsPerKill, 'kill');
+        }
+    }
+    /**
+     * Awards points to a single player.
+     * @method server.modes.GameMode#awardPlayerPoints
+     * @param {shared.core.Entity} player - Player entity.
+     * @param {number} points - Amount of points.
+     * @param {string} reason - Reason shown to the players.
+     */
+    , awardPlayerPoints: function(player, points, reason) {
+        player.trigger('player.receivePoints', points);
+
+        this._room.broadcastEvent('points.awarded', {
+            team: player.attrs.get('team')
+            , player: this._room.describePlayer(player)
+            , points: points
+            , reason: reason
+        });
+    }
+    /**
+     * Awards points to each player on a team.
+     * @method server.modes.GameMode#awardTeamPoints
+     * @param {server.core.Team} team - Team instance.
+     * @param {number} points - Amount of points.
+     * @param {string} reason - Reason shown to the players.
+     */
+    , awardTeamPoints: function(team, points, reason) {
+        team.awardPointsToPlayers(points);
+        console.log('   players on team %s received %d points', team.name, points);
+
+        if (points > 0) {
+            this._room.broadcastEvent('points.awarded', {team: team.name, player: null, points: points, reason: reason});
+        }
+    }
+    /**
+     * Returns whether a team has reached the score limit.
+     * @method server.modes.GameMode#isGameOver
+     * @return {boolean} The result.
+     */
+    , isGameOver: function() {
+        var result = false;
+
+        if (this.scoreLimit > 0) {
+            this._room.teams.each(function(team) {
+                if (team.points >= this.scoreLimit) {
+                    result = true;
+                }
+            }, this);
+        }
+
+        return result;
+    }
+    /**
+     * Returns the flags in the room.
+     * @method server.modes.GameMode#findFlags
+     * @return {array} List of flag entities.
+     */
+    , findFlags: function() {
+        var flags = [];
+
+        this._room.entities.each(function(entity) {
+            if (entity.key === 'flag') {
+                flags.push(entity);
+            }
+        }, this);
+
+        return flags;
+    }
+    /**
+     * Removes the given flags from the room, used by modes that do not use every flag on the map.
+     * @method server.modes.GameMode#removeFlags
+     * @param {array} flags - List of flag entities.
+     */
+    , removeFlags: function(flags) {
+        _.each(flags, function(flag) {
+            flag.remove();
+            this._room.flagCount--;
+        }, this);
+    }
+    /**
+     * Serializes the game mode to JSON.
+     * @method server.modes.GameMode#serialize
+     * @return {object} Serialized game mode.
+     */
+    , serialize: function() {
+        return {
+            key: this.key
+            , name: this.name
+            , scoreLimit: this.scoreLimit
+        };
+    }
+});
+
+module.exports = GameMode;
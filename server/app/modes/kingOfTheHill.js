@@ -0,0 +1,87 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../../../shared/utils')
+    , GameMode = require('./gameMode')
+    , config = require('../config.json')
+    , KingOfTheHill;
+
+/**
+ * King of the hill game mode class.
+ * @class server.modes.KingOfTheHill
+ * @classdesc Game mode where only the flag closest to the center of the map is used,
+ * the team that holds it receives points until another team takes it over.
+ * @extends server.modes.GameMode
+ */
+KingOfTheHill = utils.inherit(GameMode, {
+    /**
+     * Creates a new game mode.
+     * @constructor
+     * @param {server.core.Room} room - Room instance.
+     */
+    constructor: function(room) {
+        GameMode.apply(this, arguments);
+
+        // inherited properties
+        this.key = 'koth';
+        this.name = 'King of the hill';
+        this.pointsPerKill = config.gamePointsPerKill;
+        this.scoreLimit = config.kothScoreLimit;
+
+        // internal properties
+        this._hill = null;
+        this._owner = null;
+        this._lastPointsAt = null;
+    }
+    /**
+     * @override
+     */
+    , init: function() {
+        var flags = this.findFlags()
+            , centerX = this._room.tilemap.calculateWidth() / 2
+            , centerY = this._room.tilemap.calculateHeight() / 2;
+
+        this._hill = flags.length ? _.min(flags, function(flag) {
+            var attrs = flag.attrs.get(['x', 'y']);
+            return Math.pow(attrs.x - centerX, 2) + Math.pow(attrs.y - centerY, 2);
+        }) : null;
+
+        this.removeFlags(_.without(flags, this._hill));
+
+        this._owner = null;
+        this._lastPointsAt = null;
+    }
+    /**
+     * @override
+     */
+    , update: function() {
+        var now = _.now()
+            , owner;
+
+        // maps without flags have no hill
+        if (!this._hill) {
+            return;
+        }
+
+        owner = this._room.teams.get(this._hill.components.get('flag').getTeam());
+
+        // the new owner has to hold the hill for a while before it receives any points
+        if (owner !== this._owner) {
+            this._owner = owner;
+            this._lastPointsAt = now;
+        }
+
+        if (owner && now - this._lastPointsAt > config.kothPointsSec * 1000) {
+            this.awardTeamPoints(owner, config.kothPoints, 'hill');
+            this._lastPointsAt = now;
+        }
+    }
+    /**
+     * @override
+     */
+    , updateFlag: function(flag, players, elapsed) {
+        flag.components.get('flag').updateProgress(players, elapsed);
+    }
+});
+
+module.exports = KingOfTheHill;
@@ -0,0 +1,37 @@
+'use strict';
+
+var utils = require('../../../shared/utils')
+    , GameMode = require('./gameMode')
+    , config = require('../config.json')
+    , TeamDeathmatch;
+
+/**
+ * Team deathmatch game mode class.
+ * @class server.modes.TeamDeathmatch
+ * @classdesc Game mode without flags where the teams only score by killing players from the other teams.
+ * @extends server.modes.GameMode
+ */
+TeamDeathmatch = utils.inherit(GameMode, {
+    /**
+     * Creates a new game mode.
+     * @constructor
+     * @param {server.core.Room} room - Room instance.
+     */
+    constructor: function(room) {
+        GameMode.apply(this, arguments);
+
+        // inherited properties
+        this.key = 'tdm';
+        this.name = 'Team deathmatch';
+        this.pointsPerKill = config.gamePointsPerKill;
+        this.scoreLimit = config.tdmKillLimit * config.gamePointsPerKill;
+    }
+    /**
+     * @override
+     */
+    , init: function() {
+        this.removeFlags(this.findFlags());
+    }
+});
+
+module.exports = TeamDeathmatch;
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Primus parser that sends messages as binary frames once a codec has been negotiated.
+ * The codec is set on the spark (server) or on the primus instance (client) after the client has
+ * chosen its protocol, until then (and for clients that cannot use the codec) messages are sent as json.
+ * The client functions are copied into the client library by primus, so they cannot use any variables from this file.
+ */
+
+/**
+ * Message encoder for the server, called with the spark as its scope.
+ * @param {*} data - Data to encode.
+ * @param {function} fn - Completion callback.
+ */
+exports.encoder = function encoder(data, fn) {
+    var err, bytes;
+
+    try {
+        if (this.codec) {
+            bytes = this.codec.encode(data);
+            data = Buffer.from ? Buffer.from(bytes) : new Buffer(bytes);
+        } else {
+            data = JSON.stringify(data);
+        }
+    } catch (e) {
+        err = e;
+    }
+
+    fn(err, data);
+};
+
+/**
+ * Message decoder for the server, called with the spark as its scope.
+ * @param {string|Buffer} data - Data to decode, binary frames are received as buffers.
+ * @param {function} fn - Completion callback.
+ */
+exports.decoder = function decoder(data, fn) {
+    var err;
+
+    try {
+        if ('string' === typeof data) {
+            data = JSON.parse(data);
+        } else if (this.codec) {
+            data = this.codec.decode(data);
+        } else {
+            throw new Error('Received binary data without a codec.');
+        }
+    } catch (e) {
+        err = e;
+    }
+
+    fn(err, data);
+};
+
+/**
+ * Message encoder for the client, called with the primus instance as its scope.
+ * @param {*} data - Data to encode.
+ * @param {function} fn - Completion callback.
+ */
+exports.encoder.client = function encoder(data, fn) {
+    var err;
+
+    try {
+        data = this.codec ? this.codec.encode(data).buffer : JSON.stringify(data);
+    } catch (e) {
+        err = e;
+    }
+
+    fn(err, data);
+};
+
+/**
+ * Message decoder for the client, called with the primus instance as its scope.
+ * @param {string|ArrayBuffer} data - Data to decode, binary frames are received as array buffers.
+ * @param {function} fn - Completion callback.
+ */
+exports.decoder.client = function decoder(data, fn) {
+    var err;
+
+    try {
+        if ('string' === typeof data) {
+            data = JSON.parse(data);
+        } else if (this.codec) {
+            data = this.codec.decode(new Uint8Array(data));
+        } else {
+            throw new Error('Received binary data without a codec.');
+        }
+    } catch (e) {
+        err = e;
+    }
+
+    fn(err, data);
+};
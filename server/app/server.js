@@ -6,7 +6,7 @@ var express = require('express')
     , shortid = require('shortid')
     , game = require('./game')
     , config = require('./config.json')
-    , webRoot, app, server, primus;
+    , webRoot, app, server, primus, rooms;
 
 // resolve the path to the web root
 webRoot = path.resolve(__dirname, '../../client/web');
@@ -30,10 +30,17 @@ console.log('game server started on port %d', server.address().port);
 primus = new Primus(server, {
     pathname: config.socketNamespace
     , transformer: 'engine.io'
+    // messages are sent as json until the client has chosen the binary protocol
+    , parser: require('./parser')
 });
 
 // enable the primus-emit plugin
 primus.use('emit', require('primus-emit'));
 
 // run the game server
-game.run(primus);
+rooms = game.run(primus);
+
+// list the rooms that are currently running
+app.get('/rooms', function(req, res) {
+    res.json(rooms.serialize());
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+var utils = require('../../../shared/utils')
+    , PriorityQueue;
+
+/**
+ * Priority queue class.
+ * @class server.utils.PriorityQueue
+ * @classdesc Binary heap that always returns the item with the lowest priority first.
+ */
+PriorityQueue = utils.inherit(null, {
+    /**
+     * Creates a new queue.
+     * @constructor
+     */
+    constructor: function() {
+        // internal properties
+        this._items = [];
+    }
+    /**
+     * Adds an item to the queue.
+     * @method server.utils.PriorityQueue#push
+     * @param {*} item - Item to add.
+     * @param {number} priority - Priority, lower comes first.
+     */
+    , push: function(item, priority) {
+        var index = this._items.length
+            , parent;
+
+        this._items.push({item: item, priority: priority});
+
+        // move the item up until its parent has a lower priority
+        while (index > 0) {
+            parent = Math.floor((index - 1) / 2);
+
+            if (this._items[parent].priority <= priority) {
+                break;
+            }
+
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+    /**
+     * Removes and returns the item with the lowest priority.
+     * @method server.utils.PriorityQueue#pop
+     * @return {*} Item, or undefined if the queue is empty.
+     */
+    , pop: function() {
+        var first = this._items[0]
+            , last = this._items.pop()
+            , index = 0
+            , length, left, right, smallest;
+
+        if (!first || first === last) {
+            return first ? first.item : undefined;
+        }
+
+        this._items[0] = last;
+        length = this._items.length;
+
+        // move the last item down until both of its children have a higher priority
+        while (true) {
+            left = index * 2 + 1;
+            right = left + 1;
+            smallest = index;
+
+            if (left < length && this._items[left].priority < this._items[smallest].priority) {
+                smallest = left;
+            }
+            if (right < length && this._items[right].priority < this._items[smallest].priority) {
+                smallest = right;
+            }
+            if (smallest === index) {
+                break;
+            }
+
+            this.swap(index, smallest);
+            index = smallest;
+        }
+
+        return first.item;
+    }
+    /**
+     * Returns the number of items in the queue.
+     * @method server.utils.PriorityQueue#size
+     * @return {number} Number of items.
+     */
+    , size: function() {
+        return this._items.length;
+    }
+    /**
+     * Returns whether the queue is empty.
+     * @method server.utils.PriorityQueue#isEmpty
+     * @return {boolean} The result.
+     */
+    , isEmpty: function() {
+        return this._items.length === 0;
+    }
+    /**
+     * Swaps two items in the heap.
+     * @method server.utils.PriorityQueue#swap
+     * @param {number} a - Index of the first item.
+     * @param {number} b - Index of the second item.
+     */
+    , swap: function(a, b) {
+        var item = this._items[a];
+        this._items[a] = this._items[b];
+        this._items[b] = item;
+    }
+});
+
+module.exports = PriorityQueue;
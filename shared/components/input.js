@@ -16,13 +16,22 @@ InputComponent = utils.inherit(ComponentBase, {
     /**
      * Creates a new component.
      * @constructor
+     * @param {number} tickRate - Simulation steps per second, each command moves the entity for one step.
      */
-    constructor: function() {
+    constructor: function(tickRate) {
         ComponentBase.apply(this);
 
         // inherited properties
         this.key = 'input';
         this.phase = ComponentBase.prototype.phases.INPUT;
+
+        /**
+         * @property {array} keys - Keys that are allowed in user commands.
+         */
+        this.keys = ['arrowUp', 'arrowDown', 'arrowLeft', 'arrowRight', 'space'];
+
+        // internal properties
+        this._stepSec = 1 / (tickRate || 60);
     }
     /**
      * Processes to user command on the given attributes.
@@ -38,7 +47,8 @@ InputComponent = utils.inherit(ComponentBase, {
         attrs.actions = [];
         attrs.facing = 'none';
 
-        var step = attrs.runSpeed / 100
+        // each command is applied for exactly one simulation step (run speed is in pixels per second)
+        var step = attrs.runSpeed * this._stepSec
             , keys = new List(command.keys)
             , arrows = new List();
 
@@ -27,6 +27,10 @@ IoComponent = utils.inherit(ComponentBase, {
          * @property {Primus.Spark} spark - Spark instance.
          */
         this.spark = spark;
+        /**
+         * @property {number} rtt - Measured round trip time (in msec).
+         */
+        this.rtt = 0;
     }
 });
 
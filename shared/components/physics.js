@@ -17,8 +17,9 @@ PhysicsComponent = utils.inherit(ComponentBase, {
      * @constructor
      * @param {shared.physics.Body} body - Physical body.
      * @param {shared.physics.World} world - Phsysical world.
+     * @param {boolean} sweep - Whether to sweep the body when it moves, defaults to true.
      */
-    constructor: function(body, world) {
+    constructor: function(body, world, sweep) {
         ComponentBase.apply(this);
 
         // inherited properties
@@ -28,6 +29,9 @@ PhysicsComponent = utils.inherit(ComponentBase, {
         // internal variables
         this._world = world;
         this._body = body;
+        // entities whose position comes from the server are not swept, the server has already moved them
+        this._sweep = sweep !== false;
+        this._placed = false;
     }
     /**
      * @override
@@ -36,6 +40,25 @@ PhysicsComponent = utils.inherit(ComponentBase, {
         this._world.add(this._body);
 
         this.owner.on('entity.remove', this.onEntityRemove.bind(this));
+        this.owner.on('entity.revive', this.onEntityRevive.bind(this));
+    }
+    /**
+     * Event handler for when the entity is revived.
+     * @method shared.components.PhysicsComponent#onEntityRevive
+     * @param {shared.core.Entity} entity - Entity that was revived.
+     */
+    , onEntityRevive: function(entity) {
+        // revived entities are respawned, so they should not be swept to their new position
+        this._placed = false;
+    }
+    /**
+     * Moves the entity to the given position without sweeping its body, used for teleporting the entity.
+     * @method shared.components.PhysicsComponent#place
+     * @param {object} position - Position object.
+     */
+    , place: function(position) {
+        this.owner.attrs.set({x: position.x, y: position.y});
+        this._placed = false;
     }
     /**
      * Event handler for when the entity is removed.
@@ -67,16 +90,31 @@ PhysicsComponent = utils.inherit(ComponentBase, {
             position.y = worldBottom - dimensions.height;
         }
 
-        this._body.x = position.x;
-        this._body.y = position.y;
         this._body.width = dimensions.width;
         this._body.height = dimensions.height;
 
+        if (this._placed && this._sweep) {
+            // sweep the body from its previous position so that it cannot pass through walls
+            this._world.move(
+                this._body
+                , position.x - this._body.x
+                , position.y - this._body.y
+                , 'wall'
+            );
+        } else {
+            this._body.x = position.x;
+            this._body.y = position.y;
+            this._world.update(this._body);
+            this._placed = true;
+        }
+
         // update entity attribute
-        this.owner.attrs.set({x: position.x, y: position.y});
+        this.owner.attrs.set({x: this._body.x, y: this._body.y});
 
-        // check for collision with walls
-        this.collide('wall', this.onCollideWall.bind(this));
+        // separate the body from walls it still overlaps (e.g. after spawning)
+        if (this._sweep) {
+            this.collide('wall', this.onCollideWall.bind(this));
+        }
     }
     /**
      * Callback for when the body collides with a wall.
@@ -100,6 +138,24 @@ PhysicsComponent = utils.inherit(ComponentBase, {
         scope = scope || this;
         this._world.collide(body, type, callback, scope);
     }
+    /**
+     * Returns the bodies of the given type near the given body.
+     * @method shared.components.PhysicsComponent#findTargets
+     * @param {string} type - Body type.
+     * @param {shared.physics.Body} body - Body instance.
+     * @return {array} List of bodies.
+     */
+    , findTargets: function(type, body) {
+        return this._world.findTargets(body || this._body, type);
+    }
+    /**
+     * Updates the position of the given body in the physical world after it has been moved.
+     * @method shared.components.PhysicsComponent#updateBody
+     * @param {shared.physics.Body} body - Body instance.
+     */
+    , updateBody: function(body) {
+        this._world.update(body || this._body);
+    }
     /**
      * Checks for an overlap between physical bodies.
      * @method server.components.PhysicsComponent#overlap
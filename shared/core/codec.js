@@ -0,0 +1,365 @@
+'use strict';
+
+/* global escape, unescape */
+var _ = require('lodash')
+    , utils = require('../utils')
+    // value types, each value is prefixed with its type
+    , types = {
+        NULL: 0
+        , FALSE: 1
+        , TRUE: 2
+        , UINT: 3
+        , NINT: 4
+        , FLOAT: 5
+        , STRING: 6
+        , ARRAY: 7
+        , OBJECT: 8
+    }
+    , Codec;
+
+/**
+ * Codec class.
+ * @class shared.core.Codec
+ * @classdesc Compact binary encoding for the messages sent between the server and the client.
+ * Object keys found in the schema are written as a small index instead of the full key name.
+ */
+Codec = utils.inherit(null, {
+    /**
+     * Creates a new codec.
+     * @constructor
+     * @param {array} entityKeys - List of entity attribute keys, see {@link shared.core.Codec#createEntityKeys}.
+     */
+    constructor: function(entityKeys) {
+        /**
+         * @property {array} entityKeys - List of entity attribute keys.
+         */
+        this.entityKeys = entityKeys;
+        /**
+         * @property {array} schema - List of known object keys, message keys first followed by the entity keys.
+         */
+        this.schema = _.union(this.keys, entityKeys);
+        /**
+         * @property {string} hash - Hash of the schema, both ends must have the same hash to use this codec.
+         */
+        this.hash = this.createHash(this.version + ':' + this.schema.join(','));
+
+        // internal properties
+        this._keyIndices = {};
+        this._floatView = typeof DataView !== 'undefined' ? new DataView(new ArrayBuffer(8)) : null;
+
+        _.each(this.schema, function(key, index) {
+            this._keyIndices[key] = index;
+        }, this);
+    }
+    /**
+     * @property {number} version - Version of the encoding, increase when changing how values are written.
+     */
+    , version: 2
+    /**
+     * @property {array} keys - Keys used by the messages themselves (events, snapshots, deltas and commands).
+     */
+    , keys: [
+        'emit'
+        , 'sequence', 'entities', 'statics', 'flags', 'teams', 'playerCount', 'flagCount', 'createdAt', 'gameTimeElapsed'
+        , 'baseSequence', 'added', 'changed', 'removed'
+        , 'id', 'key', 'attrs', 'name', 'color', 'points'
+        , 'keys'
+    ]
+    /**
+     * Creates the list of entity attribute keys from the given entity definitions.
+     * The keys are sorted so that the list only depends on the data and not on the order the files were read in.
+     * @method shared.core.Codec#createEntityKeys
+     * @param {object} definitions - Map of entity data (key => data).
+     * @return {array} List of entity attribute keys.
+     */
+    , createEntityKeys: function(definitions) {
+        var keys = [];
+
+        _.forOwn(definitions, function(data) {
+            keys = _.union(keys, _.keys(data.attrs), data.static || [], data.dynamic || []);
+        }, this);
+
+        return _.difference(keys, this.keys).sort();
+    }
+    /**
+     * Creates a hash for the given string.
+     * @method shared.core.Codec#createHash
+     * @param {string} value - Value to hash.
+     * @return {string} Hash as a hexadecimal string.
+     */
+    , createHash: function(value) {
+        var hash = 5381
+            , i;
+
+        for (i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+        }
+
+        return (hash >>> 0).toString(16);
+    }
+    /**
+     * Returns whether the current environment supports this codec.
+     * @method shared.core.Codec#isSupported
+     * @return {boolean} The result.
+     */
+    , isSupported: function() {
+        return this._floatView !== null && typeof Uint8Array !== 'undefined';
+    }
+    /**
+     * Encodes the given data.
+     * @method shared.core.Codec#encode
+     * @param {*} data - Data to encode.
+     * @return {Uint8Array} Encoded data.
+     */
+    , encode: function(data) {
+        var bytes = [];
+        this.writeValue(bytes, data);
+        return new Uint8Array(bytes);
+    }
+    /**
+     * Decodes the given data.
+     * @method shared.core.Codec#decode
+     * @param {Uint8Array|Buffer} data - Encoded data.
+     * @return {*} Decoded data.
+     */
+    , decode: function(data) {
+        var reader, result;
+
+        if (!_.isObject(data) || !_.isNumber(data.length)) {
+            throw new Error('Invalid data.');
+        }
+
+        reader = {bytes: data, offset: 0};
+        result = this.readValue(reader);
+
+        if (reader.offset !== reader.bytes.length) {
+            throw new Error('Unexpected data at byte ' + reader.offset + '.');
+        }
+
+        return result;
+    }
+    /**
+     * Writes a value.
+     * @method shared.core.Codec#writeValue
+     * @param {array} bytes - Output bytes.
+     * @param {*} value - Value to write.
+     */
+    , writeValue: function(bytes, value) {
+        if (_.isNull(value) || _.isUndefined(value)) {
+            bytes.push(types.NULL);
+        } else if (_.isBoolean(value)) {
+            bytes.push(value ? types.TRUE : types.FALSE);
+        } else if (_.isNumber(value)) {
+            if (value % 1 === 0 && Math.abs(value) <= 9007199254740991) {
+                bytes.push(value < 0 ? types.NINT : types.UINT);
+                this.writeVarint(bytes, Math.abs(value));
+            } else {
+                bytes.push(types.FLOAT);
+                this.writeFloat(bytes, value);
+            }
+        } else if (_.isString(value)) {
+            bytes.push(types.STRING);
+            this.writeString(bytes, value);
+        } else if (_.isArray(value)) {
+            bytes.push(types.ARRAY);
+            this.writeVarint(bytes, value.length);
+            _.each(value, function(item) {
+                this.writeValue(bytes, item);
+            }, this);
+        } else {
+            bytes.push(types.OBJECT);
+            this.writeVarint(bytes, _.size(value));
+            _.forOwn(value, function(item, key) {
+                this.writeKey(bytes, key);
+                this.writeValue(bytes, item);
+            }, this);
+        }
+    }
+    /**
+     * Reads a value.
+     * @method shared.core.Codec#readValue
+     * @param {object} reader - Input bytes and current offset.
+     * @return {*} Value.
+     */
+    , readValue: function(reader) {
+        var type = this.readByte(reader)
+            , result, size, i;
+
+        switch (type) {
+            case types.NULL:
+                return null;
+            case types.FALSE:
+                return false;
+            case types.TRUE:
+                return true;
+            case types.UINT:
+                return this.readVarint(reader);
+            case types.NINT:
+                return -this.readVarint(reader);
+            case types.FLOAT:
+                return this.readFloat(reader);
+            case types.STRING:
+                return this.readString(reader);
+            case types.ARRAY:
+                size = this.readVarint(reader);
+                result = [];
+                for (i = 0; i < size; i++) {
+                    result.push(this.readValue(reader));
+                }
+                return result;
+            case types.OBJECT:
+                size = this.readVarint(reader);
+                result = {};
+                for (i = 0; i < size; i++) {
+                    result[this.readKey(reader)] = this.readValue(reader);
+                }
+                return result;
+            default:
+                throw new Error('Unknown type ' + type + ' at byte ' + (reader.offset - 1) + '.');
+        }
+    }
+    /**
+     * Writes an object key, keys that are not in the schema are written in full.
+     * @method shared.core.Codec#writeKey
+     * @param {array} bytes - Output bytes.
+     * @param {string} key - Key to write.
+     */
+    , writeKey: function(bytes, key) {
+        if (_.has(this._keyIndices, key)) {
+            this.writeVarint(bytes, this._keyIndices[key] + 1);
+        } else {
+            this.writeVarint(bytes, 0);
+            this.writeString(bytes, key);
+        }
+    }
+    /**
+     * Reads an object key.
+     * @method shared.core.Codec#readKey
+     * @param {object} reader - Input bytes and current offset.
+     * @return {string} Key.
+     */
+    , readKey: function(reader) {
+        var index = this.readVarint(reader);
+
+        if (index === 0) {
+            return this.readString(reader);
+        }
+        if (index > this.schema.length) {
+            throw new Error('Unknown key ' + index + ' at byte ' + reader.offset + '.');
+        }
+
+        return this.schema[index - 1];
+    }
+    /**
+     * Writes a non-negative integer using as few bytes as possible (7 bits per byte).
+     * @method shared.core.Codec#writeVarint
+     * @param {array} bytes - Output bytes.
+     * @param {number} value - Value to write.
+     */
+    , writeVarint: function(bytes, value) {
+        // we cannot use bitwise operators because they only work on 32 bit integers
+        while (value >= 128) {
+            bytes.push((value % 128) + 128);
+            value = Math.floor(value / 128);
+        }
+
+        bytes.push(value);
+    }
+    /**
+     * Reads a non-negative integer.
+     * @method shared.core.Codec#readVarint
+     * @param {object} reader - Input bytes and current offset.
+     * @return {number} Value.
+     */
+    , readVarint: function(reader) {
+        var result = 0
+            , multiplier = 1
+            , byte;
+
+        do {
+            byte = this.readByte(reader);
+            result += (byte % 128) * multiplier;
+            multiplier *= 128;
+        } while (byte >= 128);
+
+        return result;
+    }
+    /**
+     * Writes a floating point number (8 bytes).
+     * @method shared.core.Codec#writeFloat
+     * @param {array} bytes - Output bytes.
+     * @param {number} value - Value to write.
+     */
+    , writeFloat: function(bytes, value) {
+        var i;
+
+        this._floatView.setFloat64(0, value, true/* little endian */);
+
+        for (i = 0; i < 8; i++) {
+            bytes.push(this._floatView.getUint8(i));
+        }
+    }
+    /**
+     * Reads a floating point number.
+     * @method shared.core.Codec#readFloat
+     * @param {object} reader - Input bytes and current offset.
+     * @return {number} Value.
+     */
+    , readFloat: function(reader) {
+        var i;
+
+        for (i = 0; i < 8; i++) {
+            this._floatView.setUint8(i, this.readByte(reader));
+        }
+
+        return this._floatView.getFloat64(0, true/* little endian */);
+    }
+    /**
+     * Writes a string as UTF-8.
+     * @method shared.core.Codec#writeString
+     * @param {array} bytes - Output bytes.
+     * @param {string} value - Value to write.
+     */
+    , writeString: function(bytes, value) {
+        var utf8 = unescape(encodeURIComponent(value))
+            , i;
+
+        this.writeVarint(bytes, utf8.length);
+
+        for (i = 0; i < utf8.length; i++) {
+            bytes.push(utf8.charCodeAt(i));
+        }
+    }
+    /**
+     * Reads a string.
+     * @method shared.core.Codec#readString
+     * @param {object} reader - Input bytes and current offset.
+     * @return {string} Value.
+     */
+    , readString: function(reader) {
+        var length = this.readVarint(reader)
+            , utf8 = ''
+            , i;
+
+        for (i = 0; i < length; i++) {
+            utf8 += String.fromCharCode(this.readByte(reader));
+        }
+
+        return decodeURIComponent(escape(utf8));
+    }
+    /**
+     * Reads a single byte.
+     * @method shared.core.Codec#readByte
+     * @param {object} reader - Input bytes and current offset.
+     * @return {number} Value.
+     */
+    , readByte: function(reader) {
+        if (reader.offset >= reader.bytes.length) {
+            throw new Error('Unexpected end of data.');
+        }
+
+        return reader.bytes[reader.offset++];
+    }
+});
+
+module.exports = Codec;
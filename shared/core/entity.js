@@ -34,6 +34,10 @@ Entity = utils.inherit(Node, {
          * @property {shared.utils.Hashmap} attrs - Hashmap over the entities attributes.
          */
         this.attrs = new Hashmap(data.attrs);
+        /**
+         * @property {array} staticAttrs - Names of the attributes that never change once the entity has been created.
+         */
+        this.staticAttrs = data.static || [];
         /**
          * @property {shared.core.ComponentManager} components - Component manager instance.
          */
@@ -96,15 +100,24 @@ Entity = utils.inherit(Node, {
     }
     /**
      * Serializes this entity to a JSON object.
-     * @method shared.core.Entity#serialize
+     * @method shared.core.Entity#serialize
+     * @param {boolean} dynamicOnly - Whether to leave out the static attributes.
      */
-    , serialize: function() {
+    , serialize: function(dynamicOnly) {
         return {
             id: this.id
             , key: this.key
-            , attrs: this.attrs.get()
+            , attrs: dynamicOnly ? _.omit(this.attrs.get(), this.staticAttrs) : this.attrs.get()
         };
     }
+    /**
+     * Returns the static attributes for this entity.
+     * @method shared.core.Entity#serializeStatic
+     * @return {object} Static attributes.
+     */
+    , serializeStatic: function() {
+        return this.attrs.get(this.staticAttrs);
+    }
 });
 
 module.exports = Entity;
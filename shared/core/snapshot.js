@@ -14,6 +14,7 @@ Snapshot = utils.inherit(null, {
     constructor: function() {
         this.sequence = null;
         this.entities = [];
+        this.statics = {};
         this.flags = [];
         this.teams = {};
         this.playerCount = null;
@@ -21,6 +22,9 @@ Snapshot = utils.inherit(null, {
         this.createdAt = _.now();
         this.receivedAt = null;
         this.gameTimeElapsed = null;
+
+        // internal properties
+        this._deltas = {};
     }
     /**
      * TODO
@@ -29,6 +33,7 @@ Snapshot = utils.inherit(null, {
         return {
             sequence: this.sequence
             , entities: this.entities
+            , statics: this.statics
             , flags: this.flags
             , teams: this.teams
             , playerCount: this.playerCount
@@ -37,6 +42,129 @@ Snapshot = utils.inherit(null, {
             , gameTimeElapsed: this.gameTimeElapsed
         };
     }
+    /**
+     * Creates a copy of this snapshot that only contains the entities accepted by the given callback.
+     * @method shared.core.Snapshot#filter
+     * @param {function} callback - Filtering function, called with the serialized entity and its identifier.
+     * @param {object} scope - Callback scope.
+     * @return {shared.core.Snapshot} Filtered snapshot.
+     */
+    , filter: function(callback, scope) {
+        var snapshot = new Snapshot();
+
+        snapshot.set(this.serialize());
+        snapshot.entities = _.pick(this.entities, callback, scope);
+        snapshot.statics = _.pick(this.statics, _.keys(snapshot.entities));
+
+        return snapshot;
+    }
+    /**
+     * Creates a delta that contains only what has changed since the given snapshot.
+     * @method shared.core.Snapshot#diff
+     * @param {shared.core.Snapshot} base - Snapshot acknowledged by the receiver.
+     * @return {object} Serialized delta snapshot.
+     */
+    , diff: function(base) {
+        // deltas against the same base are identical, so we only need to create them once
+        if (this._deltas[base.sequence]) {
+            return this._deltas[base.sequence];
+        }
+
+        // static attributes never change so they are not included in deltas
+        var delta = _.omit(this.serialize(), ['entities', 'statics'])
+            , previous, attrs;
+
+        delta.baseSequence = base.sequence;
+        delta.added = {};
+        delta.changed = {};
+        delta.removed = [];
+
+        _.forOwn(this.entities, function(entity, id) {
+            previous = base.entities[id];
+
+            if (!previous) {
+                delta.added[id] = entity;
+            } else if (previous !== entity) {
+                attrs = this.diffAttrs(previous.attrs, entity.attrs);
+                if (!_.isEmpty(attrs)) {
+                    delta.changed[id] = attrs;
+                }
+            }
+        }, this);
+
+        _.forOwn(base.entities, function(entity, id) {
+            if (!_.has(this.entities, id)) {
+                delta.removed.push(id);
+            }
+        }, this);
+
+        this._deltas[base.sequence] = delta;
+
+        return delta;
+    }
+    /**
+     * Returns the attributes that differ between the given attribute sets.
+     * @method shared.core.Snapshot#diffAttrs
+     * @param {object} previous - Previous attributes.
+     * @param {object} next - Next attributes.
+     * @return {object} Changed attributes (removed attributes are set to null).
+     */
+    , diffAttrs: function(previous, next) {
+        var attrs = {};
+
+        _.forOwn(next, function(value, name) {
+            if (!_.isEqual(previous[name], value)) {
+                attrs[name] = value;
+            }
+        }, this);
+
+        _.forOwn(previous, function(value, name) {
+            if (!_.has(next, name)) {
+                attrs[name] = null;
+            }
+        }, this);
+
+        return attrs;
+    }
+    /**
+     * Applies a delta created with {@link shared.core.Snapshot#diff} on top of this snapshot.
+     * @method shared.core.Snapshot#patch
+     * @param {object} delta - Serialized delta snapshot.
+     * @return {shared.core.Snapshot} Resulting snapshot.
+     */
+    , patch: function(delta) {
+        var snapshot = new Snapshot()
+            , entities = _.clone(this.entities);
+
+        snapshot.set(_.omit(delta, ['baseSequence', 'added', 'changed', 'removed']));
+
+        _.forOwn(delta.changed, function(attrs, id) {
+            if (entities[id]) {
+                entities[id] = _.extend({}, entities[id], {attrs: _.extend({}, entities[id].attrs, attrs)});
+            }
+        }, this);
+
+        _.forOwn(delta.added, function(entity, id) {
+            entities[id] = entity;
+        }, this);
+
+        _.each(delta.removed, function(id) {
+            delete entities[id];
+        }, this);
+
+        snapshot.entities = entities;
+
+        return snapshot;
+    }
+    /**
+     * Returns whether the given serialized snapshot is a delta.
+     * @method shared.core.Snapshot#isDelta
+     * @param {object} data - Serialized snapshot.
+     * @return {boolean} The result.
+     */
+    , isDelta: function(data) {
+        return _.has(data, 'baseSequence');
+    }
     /**
      * TODO
      */
@@ -0,0 +1,183 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../utils')
+    , SpatialHash;
+
+/**
+ * Spatial hash class.
+ * @class shared.physics.SpatialHash
+ * @classdesc Uniform grid that buckets bodies by the cells they cover for fast proximity queries.
+ */
+SpatialHash = utils.inherit(null, {
+    /**
+     * Creates a new spatial hash.
+     * @constructor
+     * @param {number} cellSize - Size of each cell (in pixels).
+     */
+    constructor: function(cellSize) {
+        /**
+         * @property {number} cellSize - Size of each cell (in pixels).
+         */
+        this.cellSize = cellSize;
+
+        // internal properties
+        this._cells = {};
+        this._bounds = {};
+    }
+    /**
+     * Adds a body to the hash.
+     * @method shared.physics.SpatialHash#add
+     * @param {shared.physics.Body} body - Body instance.
+     */
+    , add: function(body) {
+        var bounds = this.calculateBounds(body);
+        this.insert(body, bounds);
+        this._bounds[body.id] = bounds;
+    }
+    /**
+     * Moves a body to the cells matching its current position (if necessary).
+     * @method shared.physics.SpatialHash#update
+     * @param {shared.physics.Body} body - Body instance.
+     */
+    , update: function(body) {
+        var previous = this._bounds[body.id]
+            , bounds;
+
+        // bodies that are not in the hash cannot be moved
+        if (!previous) {
+            return;
+        }
+
+        bounds = this.calculateBounds(body);
+
+        // most of the time the body stays within the same cells
+        if (bounds.minX !== previous.minX || bounds.minY !== previous.minY ||
+            bounds.maxX !== previous.maxX || bounds.maxY !== previous.maxY) {
+            this.extract(body, previous);
+            this.insert(body, bounds);
+            this._bounds[body.id] = bounds;
+        }
+    }
+    /**
+     * Removes a body from the hash.
+     * @method shared.physics.SpatialHash#remove
+     * @param {shared.physics.Body} body - Body instance.
+     * @return {boolean} Whether the body was removed.
+     */
+    , remove: function(body) {
+        var bounds = this._bounds[body.id];
+
+        if (bounds) {
+            this.extract(body, bounds);
+            delete this._bounds[body.id];
+            return true;
+        }
+
+        return false;
+    }
+    /**
+     * Returns whether the hash contains the given body.
+     * @method shared.physics.SpatialHash#exists
+     * @param {shared.physics.Body} body - Body instance.
+     * @return {boolean} The result.
+     */
+    , exists: function(body) {
+        return _.has(this._bounds, body.id);
+    }
+    /**
+     * Returns the bodies in the cells covered by the given area.
+     * @method shared.physics.SpatialHash#query
+     * @param {object} area - Area object (x, y, width and height).
+     * @param {string} type - Body type, omit to return bodies of any type.
+     * @return {array} List of bodies.
+     */
+    , query: function(area, type) {
+        var bounds = this.calculateBounds(area)
+            , found = {}
+            , result = []
+            , x, y, cell, i;
+
+        for (x = bounds.minX; x <= bounds.maxX; x++) {
+            for (y = bounds.minY; y <= bounds.maxY; y++) {
+                cell = this._cells[x + ':' + y];
+                if (cell) {
+                    for (i = 0; i < cell.length; i++) {
+                        // large bodies (e.g. walls) may be found from multiple cells
+                        if (!found[cell[i].id] && (!type || cell[i].type === type)) {
+                            found[cell[i].id] = true;
+                            result.push(cell[i]);
+                        }
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+    /**
+     * Removes all bodies from the hash.
+     * @method shared.physics.SpatialHash#clear
+     */
+    , clear: function() {
+        this._cells = {};
+        this._bounds = {};
+    }
+    /**
+     * Calculates the range of cells covered by the given area.
+     * @method shared.physics.SpatialHash#calculateBounds
+     * @param {object} area - Area object (x, y, width and height).
+     * @return {object} Cell range object.
+     */
+    , calculateBounds: function(area) {
+        return {
+            minX: Math.floor(area.x / this.cellSize)
+            , minY: Math.floor(area.y / this.cellSize)
+            , maxX: Math.floor((area.x + area.width) / this.cellSize)
+            , maxY: Math.floor((area.y + area.height) / this.cellSize)
+        };
+    }
+    /**
+     * Inserts a body in the given range of cells.
+     * @method shared.physics.SpatialHash#insert
+     * @param {shared.physics.Body} body - Body instance.
+     * @param {object} bounds - Cell range object.
+     */
+    , insert: function(body, bounds) {
+        var x, y, key;
+
+        for (x = bounds.minX; x <= bounds.maxX; x++) {
+            for (y = bounds.minY; y <= bounds.maxY; y++) {
+                key = x + ':' + y;
+                this._cells[key] = this._cells[key] || [];
+                this._cells[key].push(body);
+            }
+        }
+    }
+    /**
+     * Removes a body from the given range of cells.
+     * @method shared.physics.SpatialHash#extract
+     * @param {shared.physics.Body} body - Body instance.
+     * @param {object} bounds - Cell range object.
+     */
+    , extract: function(body, bounds) {
+        var x, y, key, index;
+
+        for (x = bounds.minX; x <= bounds.maxX; x++) {
+            for (y = bounds.minY; y <= bounds.maxY; y++) {
+                key = x + ':' + y;
+                if (this._cells[key]) {
+                    index = this._cells[key].indexOf(body);
+                    if (index !== -1) {
+                        this._cells[key].splice(index, 1);
+                    }
+                    if (this._cells[key].length === 0) {
+                        delete this._cells[key];
+                    }
+                }
+            }
+        }
+    }
+});
+
+module.exports = SpatialHash;
@@ -2,7 +2,7 @@
 
 var _ = require('lodash')
     , utils = require('../utils')
-    , List = require('../utils/list')
+    , SpatialHash = require('./spatialHash')
     , World;
 
 /**
@@ -16,9 +16,10 @@ World = utils.inherit(null, {
      * @constructor
      * @param {number} width - World width (in pixels).
      * @param {number} height - World height (in pixels).
+     * @param {number} cellSize - Size of the broadphase cells (in pixels), defaults to 96.
      */
-    constructor: function(width, height) {
-        this._bodies = new List();
+    constructor: function(width, height, cellSize) {
+        this._bodies = new SpatialHash(cellSize || 96);
 
         this.x = 0;
         this.y = 0;
@@ -34,6 +35,14 @@ World = utils.inherit(null, {
         body.on('body.remove', this.onBodyRemove.bind(this));
         this._bodies.add(body);
     }
+    /**
+     * Updates the position of a body in the broadphase, call this after moving a body.
+     * @method shared.physics.World#update
+     * @param {shared.physics.Body} body - Body instance.
+     */
+    , update: function(body) {
+        this._bodies.update(body);
+    }
     /**
      * Event handler for removing a body.
      * @method shared.physics.World#onBodyRemove
@@ -51,8 +60,6 @@ World = utils.inherit(null, {
      * @param {object} scope - Collision scope.
      */
     , collide: function(body, type, callback, scope) {
-        scope = scope || callback;
-
         var targets = this.findTargets(body, type);
 
         _.each(targets, function(other) {
@@ -75,6 +82,132 @@ World = utils.inherit(null, {
             }
         }
     }
+    /**
+     * Moves a body using swept collision detection so that it cannot pass through bodies of the given type.
+     * When the body hits something it slides along the surface for the rest of the movement.
+     * @method shared.physics.World#move
+     * @param {shared.physics.Body} body - Body instance.
+     * @param {number} dx - Movement on the x-axis.
+     * @param {number} dy - Movement on the y-axis.
+     * @param {string} type - Type of the bodies to collide with.
+     * @param {function} callback - Collision callback.
+     * @param {object} scope - Collision scope.
+     */
+    , move: function(body, dx, dy, type, callback, scope) {
+        var iterations = 0
+            , targets, hit, impact, i;
+
+        // each iteration resolves one impact, three is enough for moving into a corner
+        while ((dx !== 0 || dy !== 0) && iterations++ < 3) {
+            targets = this.findTargets(this.calculateSweptArea(body, dx, dy), type);
+            hit = null;
+
+            for (i = 0; i < targets.length; i++) {
+                impact = this.sweep(body, dx, dy, targets[i]);
+                if (impact && (!hit || impact.time < hit.time)) {
+                    hit = impact;
+                }
+            }
+
+            if (!hit) {
+                body.x += dx;
+                body.y += dy;
+                break;
+            }
+
+            // move the body up to the point of impact and place it against the surface
+            if (hit.normalX !== 0) {
+                body.x = hit.normalX < 0 ? hit.other.x - body.width : hit.other.right();
+                body.y += dy * hit.time;
+                dx = 0;
+                dy *= 1 - hit.time;
+            } else {
+                body.y = hit.normalY < 0 ? hit.other.y - body.height : hit.other.bottom();
+                body.x += dx * hit.time;
+                dx *= 1 - hit.time;
+                dy = 0;
+            }
+
+            if (_.isFunction(callback)) {
+                callback.call(scope, body, hit.other);
+            }
+        }
+
+        this.update(body);
+    }
+    /**
+     * Calculates the time of impact between a moving body and a static body using swept AABB.
+     * @method shared.physics.World#sweep
+     * @param {shared.physics.Body} body - Moving body instance.
+     * @param {number} dx - Movement on the x-axis.
+     * @param {number} dy - Movement on the y-axis.
+     * @param {shared.physics.Body} other - Static body instance.
+     * @return {object|null} Impact object (time, normal and other body), or null if the bodies do not collide.
+     */
+    , sweep: function(body, dx, dy, other) {
+        var entryX, entryY, exitX, exitY, entry, exit, normalX = 0, normalY = 0;
+
+        if (dx > 0) {
+            entryX = (other.x - body.right()) / dx;
+            exitX = (other.right() - body.x) / dx;
+        } else if (dx < 0) {
+            entryX = (other.right() - body.x) / dx;
+            exitX = (other.x - body.right()) / dx;
+        } else if (body.right() <= other.x || body.x >= other.right()) {
+            return null; // not moving on the x-axis and not overlapping on it either
+        } else {
+            entryX = -Infinity;
+            exitX = Infinity;
+        }
+
+        if (dy > 0) {
+            entryY = (other.y - body.bottom()) / dy;
+            exitY = (other.bottom() - body.y) / dy;
+        } else if (dy < 0) {
+            entryY = (other.bottom() - body.y) / dy;
+            exitY = (other.y - body.bottom()) / dy;
+        } else if (body.bottom() <= other.y || body.y >= other.bottom()) {
+            return null; // not moving on the y-axis and not overlapping on it either
+        } else {
+            entryY = -Infinity;
+            exitY = Infinity;
+        }
+
+        entry = Math.max(entryX, entryY);
+        exit = Math.min(exitX, exitY);
+
+        // bodies that already overlap are left for separate to resolve
+        if (entry > exit || entry < 0 || entry >= 1) {
+            return null;
+        }
+
+        // when hitting a corner exactly we block the slower axis
+        // so that the body keeps sliding in the main direction
+        if (entryX > entryY || (entryX === entryY && Math.abs(dx) < Math.abs(dy))) {
+            normalX = dx > 0 ? -1 : 1;
+        } else {
+            normalY = dy > 0 ? -1 : 1;
+        }
+
+        return {time: entry, normalX: normalX, normalY: normalY, other: other};
+    }
+    /**
+     * Calculates the area covered by a body during a movement.
+     * @method shared.physics.World#calculateSweptArea
+     * @param {shared.physics.Body} body - Body instance.
+     * @param {number} dx - Movement on the x-axis.
+     * @param {number} dy - Movement on the y-axis.
+     * @return {object} Area object.
+     */
+    , calculateSweptArea: function(body, dx, dy) {
+        return {
+            id: body.id
+            , x: Math.min(body.x, body.x + dx)
+            , y: Math.min(body.y, body.y + dy)
+            , width: body.width + Math.abs(dx)
+            , height: body.height + Math.abs(dy)
+        };
+    }
     /**
      * Checks for an overlap between physical bodies.
      * @method shared.physics.World#overlap
@@ -84,8 +217,6 @@ World = utils.inherit(null, {
      * @param {object} scope - Collision scope.
      */
     , overlap: function(body, type, callback, scope) {
-        scope = scope || callback;
-
         var targets = this.findTargets(body, type);
 
         _.each(targets, function(other) {
@@ -109,20 +240,16 @@ World = utils.inherit(null, {
         }
     }
     /**
-     * Returns all bodies of the given type.
+     * Returns the bodies of the given type that are near the given body.
      * @method shared.physics.World#findTargets
      * @param {shared.physics.Body} body - Body to find targets for.
      * @param {string} type - Body type.
      * @return {array} List of target bodies.
      */
     , findTargets: function(body, type) {
-        var targets = [];
-        this._bodies.each(function(other) {
-            if (other.id !== body.id && other.type === type) {
-                targets.push(other);
-            }
+        return _.filter(this._bodies.query(body, type), function(other) {
+            return other.id !== body.id;
         });
-        return targets;
     }
     /**
      * Separates two bodies from each other.
@@ -137,48 +264,50 @@ World = utils.inherit(null, {
             return false;
         }
 
-        var side = 'none'
-            , depths;
+        var sides, depths;
 
         depths = [
-            {side: 'left', value: Math.abs(body.right() - other.x)}
-            , {side: 'right', value: Math.abs(body.x - other.right())}
-            , {side: 'top', value: Math.abs(body.bottom() - other.y)}
-            , {side: 'bottom', value: Math.abs(body.y - other.bottom())}
+            {side: 'left', axis: 'x', value: Math.abs(body.right() - other.x)}
+            , {side: 'right', axis: 'x', value: Math.abs(body.x - other.right())}
+            , {side: 'top', axis: 'y', value: Math.abs(body.bottom() - other.y)}
+            , {side: 'bottom', axis: 'y', value: Math.abs(body.y - other.bottom())}
         ];
 
         // sort the depths in ascending order, the smallest depth
         // determines the side on which the collision occurred
         depths.sort(function(a, b) {
-            return a.value > b.value;
+            return a.value - b.value;
         });
 
-        // make sure that this is not a corner collision
-        // in that case just skip the separation to avoid issues
-        if (depths[0].value !== depths[1].value) {
-            side = depths[0].side;
+        sides = [depths[0].side];
+
+        // in a corner collision the body is equally deep on both axes,
+        // so we push it out diagonally instead of picking one side
+        if (depths[0].value === depths[1].value && depths[0].axis !== depths[1].axis) {
+            sides.push(depths[1].side);
         }
 
-        //console.log('colliding from %s', side);
+        // do the actual separation
+        _.each(sides, function(side) {
+            switch (side) {
+                case 'left':
+                    body.x = other.x - body.width - 1;
+                    break;
+                case 'right':
+                    body.x = other.right() + 1;
+                    break;
+                case 'top':
+                    body.y = other.y - body.height - 1;
+                    break;
+                case 'bottom':
+                    body.y = other.bottom() + 1;
+                    break;
+                default:
+                    break;
+            }
+        }, this);
 
-        // do the actual separation (if necessary)
-        switch (side) {
-            case 'left':
-                body.x = other.x - body.width - 1;
-                break;
-            case 'right':
-                body.x = other.right() + 1;
-                break;
-            case 'top':
-                body.y = other.y - body.height - 1;
-                break;
-            case 'bottom':
-                body.y = other.bottom() + 1;
-                break;
-            default:
-            case 'none':
-                break;
-        }
+        this.update(body);
 
         return true;
     }
@@ -38,13 +38,25 @@ EntityHashmap = utils.inherit(HashmapBase, {
     /**
      * TODO
      */
-    , serialize: function() {
+    , serialize: function(dynamicOnly) {
         var entities = {};
         this.each(function(entity, entityId) {
-            entities[entityId] = entity.serialize();
+            entities[entityId] = entity.serialize(dynamicOnly);
         }, this);
         return entities;
     }
+    /**
+     * Returns the static attributes for all entities.
+     * @method shared.utils.EntityHashmap#serializeStatic
+     * @return {object} Map of static attributes (entity id => attributes).
+     */
+    , serializeStatic: function() {
+        var statics = {};
+        this.each(function(entity, entityId) {
+            statics[entityId] = entity.serializeStatic();
+        }, this);
+        return statics;
+    }
 });
 
 module.exports = EntityHashmap;
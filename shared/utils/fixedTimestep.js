@@ -0,0 +1,73 @@
+'use strict';
+
+var _ = require('lodash')
+    , utils = require('../utils')
+    , FixedTimestep;
+
+/**
+ * Fixed timestep class.
+ * @class shared.utils.FixedTimestep
+ * @classdesc Utility class for running a simulation in fixed steps regardless of the frame rate.
+ */
+FixedTimestep = utils.inherit(null, {
+    /**
+     * Creates a new fixed timestep.
+     * @constructor
+     * @param {number} tickRate - Number of steps per second.
+     * @param {number} maxSteps - Maximum number of steps per advance, defaults to 5.
+     */
+    constructor: function(tickRate, maxSteps) {
+        /**
+         * @property {number} stepMsec - Length of a single step (in msec).
+         */
+        this.stepMsec = 1000 / tickRate;
+        /**
+         * @property {number} tick - Number of steps taken so far.
+         */
+        this.tick = 0;
+
+        // internal properties
+        this._maxSteps = maxSteps || 5;
+        this._accumulator = 0;
+        this._lastAdvanceAt = null;
+    }
+    /**
+     * Runs the callback once for each full step that has passed since the previous advance.
+     * @method shared.utils.FixedTimestep#advance
+     * @param {function} callback - Step callback, called with the step length (in msec).
+     * @param {object} scope - Callback scope.
+     * @return {number} Number of steps taken.
+     */
+    , advance: function(callback, scope) {
+        var now = _.now()
+            , steps = 0;
+
+        this._accumulator += this._lastAdvanceAt === null ? this.stepMsec : now - this._lastAdvanceAt;
+        this._lastAdvanceAt = now;
+
+        while (this._accumulator >= this.stepMsec && steps < this._maxSteps) {
+            callback.call(scope, this.stepMsec, this.tick);
+            this._accumulator -= this.stepMsec;
+            this.tick++;
+            steps++;
+        }
+
+        // drop the time we could not catch up with to avoid a spiral of death
+        if (this._accumulator >= this.stepMsec) {
+            this._accumulator = 0;
+        }
+
+        return steps;
+    }
+    /**
+     * Resets the timestep.
+     * @method shared.utils.FixedTimestep#reset
+     */
+    , reset: function() {
+        this.tick = 0;
+        this._accumulator = 0;
+        this._lastAdvanceAt = null;
+    }
+});
+
+module.exports = FixedTimestep;
@@ -40,7 +40,14 @@ List = utils.inherit(null, {
      * @return {boolean} Whether the item was removed.
      */
     , remove: function(item) {
-        return this._items.splice(this._items.indexOf(item), 1) !== null;
+        var index = this._items.indexOf(item);
+
+        if (index !== -1) {
+            this._items.splice(index, 1);
+            return true;
+        }
+
+        return false;
     }
     /**
      * Returns the item with the given index from this list.
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Round-trip checks for the binary codec and the primus parser, run with `npm test`.
+ */
+var _ = require('lodash')
+    , assert = require('assert')
+    , path = require('path')
+    , Codec = require('../shared/core/codec')
+    , Snapshot = require('../shared/core/snapshot')
+    , DataManager = require('../server/app/core/dataManager')
+    , parser = require('../server/app/parser')
+    , codec, player, flag, base, next, delta, commands;
+
+DataManager.loadData(path.resolve(__dirname, '../data'));
+
+codec = new Codec(Codec.prototype.createEntityKeys(DataManager.getEntities()));
+
+/**
+ * Copies the given bytes into a buffer, binary frames are received as buffers on the server.
+ * @param {Uint8Array|array} bytes - Bytes to copy.
+ * @return {Buffer} Buffer instance.
+ */
+function toBuffer(bytes) {
+    return Buffer.from ? Buffer.from(bytes) : new Buffer(bytes);
+}
+
+/**
+ * Encodes and decodes the given data and checks that the result matches the original.
+ * @param {string} name - Name of the check.
+ * @param {*} data - Data to check.
+ * @return {Uint8Array} Encoded data.
+ */
+function roundTrip(name, data) {
+    var bytes = codec.encode(data);
+
+    assert.deepEqual(codec.decode(bytes), data, name + ' did not survive the round trip');
+    assert.deepEqual(codec.decode(toBuffer(bytes)), data, name + ' did not survive the round trip as a buffer');
+
+    console.log('  %s: %d bytes (json %d bytes)', name, bytes.length, JSON.stringify(data).length);
+
+    return bytes;
+}
+
+/**
+ * Checks that decoding the given data throws an error.
+ * @param {string} name - Name of the check.
+ * @param {*} data - Data to decode.
+ */
+function rejects(name, data) {
+    assert.throws(function() {
+        codec.decode(data);
+    }, Error, name + ' was decoded');
+}
+
+/**
+ * Creates a serialized entity from the entity data, like the room does when creating a snapshot.
+ * @param {string} key - Entity key.
+ * @param {string} id - Entity identifier.
+ * @param {object} attrs - Runtime attributes.
+ * @return {object} Serialized entity.
+ */
+function createEntity(key, id, attrs) {
+    var data = DataManager.getEntities()[key];
+    return {id: id, key: key, attrs: _.extend(_.omit(data.attrs, data.static), attrs)};
+}
+
+console.log('codec schema %s (%d keys)', codec.hash, codec.schema.length);
+
+// the schema only depends on the entity data
+assert.deepEqual(codec.entityKeys, _.clone(codec.entityKeys).sort(), 'entity keys are not sorted');
+assert.equal(new Codec(Codec.prototype.createEntityKeys(DataManager.getEntities())).hash, codec.hash, 'hash is not stable');
+assert.notEqual(new Codec(codec.entityKeys.concat(['extra'])).hash, codec.hash, 'hash ignores the schema');
+
+console.log('snapshots');
+
+player = createEntity('player', 'b1RgVvgCf0Lp', {
+    x: 1234.5
+    , y: -96
+    , alive: true
+    , currentHealth: 1
+    , kills: 3
+    , deaths: 0
+    , points: 250
+    , lastAttackAt: 1413720000123
+    , lastDeadAt: null
+    , inputSequence: 812
+    , actions: ['runUp', 'attackUp']
+    , facing: 'up'
+});
+flag = createEntity('flag', 'Wy2W4Pg0fAUT', {
+    x: 480
+    , y: 672
+    , team: 'neutral'
+    , carrier: null
+    , captureProgress: 0.37
+    , captureColor: '#ff6600'
+    , contested: false
+});
+
+base = new Snapshot();
+base.sequence = 41;
+base.createdAt = 1413720000000;
+base.gameTimeElapsed = 12.345;
+base.entities = _.zipObject([player.id, flag.id], [player, flag]);
+base.statics = _.zipObject([player.id], [{name: 'Sir Ünïcødé ☃', team: 'blue', teamColor: '#0000ff', image: 'knight-blue'}]);
+base.flags = [{id: flag.id, team: 'neutral'}];
+base.teams = {blue: {name: 'blue', color: '#0000ff', points: 250}, green: {name: 'green', color: '#00ff00', points: -10}};
+base.playerCount = 1;
+base.flagCount = 1;
+
+roundTrip('full snapshot', base.serialize());
+
+console.log('deltas');
+
+next = new Snapshot();
+next.set(_.omit(base.serialize(), 'statics'));
+next.sequence = 42;
+next.gameTimeElapsed = 12.395;
+next.entities = _.zipObject([player.id, 'Z1fz4DlRMAI6'], [
+    _.extend({}, player, {attrs: _.extend(_.omit(player.attrs, 'actions'), {x: 1240.25, y: -100, facing: 'right'})})
+    , createEntity('player', 'Z1fz4DlRMAI6', {x: 0, y: 0, alive: false, lastDeadAt: 1413720000456})
+]);
+
+delta = next.diff(base);
+
+assert.strictEqual(delta.changed[player.id].actions, null, 'removed attributes are not set to null');
+roundTrip('delta snapshot', delta);
+roundTrip('delta snapshot with statics', _.extend({}, delta, {statics: {}}));
+
+console.log('commands');
+
+commands = [
+    {sequence: 0, keys: []}
+    , {sequence: 1, keys: ['arrowUp', 'arrowLeft', 'space']}
+    , {sequence: 9007199254740991, keys: ['arrowDown']}
+];
+
+_.each(commands, function(command) {
+    roundTrip('command ' + command.sequence, command);
+});
+
+console.log('events');
+
+roundTrip('event', {emit: ['game.events', [{sequence: 3, type: 'flag.captured', data: {flag: flag.id, from: 'neutral', to: 'blue'}}]]});
+roundTrip('primus message', 'primus::ping::1413720000000');
+
+console.log('values');
+
+roundTrip('numbers', [0, 1, -1, 127, 128, -128, 16384, -2147483649, 0.1, -0.1, 1e-7, 1.7976931348623157e308, -12.5]);
+roundTrip('strings', ['', 'ascii', 'ääkköset', '日本語', '😀 emoji', 'null\u0000byte']);
+roundTrip('nulls', {a: null, b: [null, false, true], c: {}});
+roundTrip('keys outside the schema', {unknownKey: 1, 'ünïcødé key': 'value', x: {y: {unknown: []}}});
+
+console.log('invalid data');
+
+(function() {
+    var bytes = codec.encode(base.serialize())
+        , i;
+
+    // every truncated snapshot must be rejected
+    for (i = 0; i < bytes.length; i++) {
+        rejects('snapshot truncated to ' + i + ' bytes', bytes.subarray(0, i));
+    }
+
+    rejects('trailing data', new Uint8Array(_.toArray(bytes).concat([0])));
+})();
+
+rejects('unknown type', new Uint8Array([255]));
+rejects('unknown key', new Uint8Array([8, 1, 127, 0]));
+rejects('invalid utf-8', new Uint8Array([6, 1, 255]));
+rejects('string', 'CAE=');
+rejects('null', null);
+rejects('number', 42);
+
+console.log('parser');
+
+(function() {
+    var spark = {codec: null};
+
+    parser.encoder.call(spark, {emit: ['client.protocol', 'binary']}, function(err, data) {
+        assert.ifError(err);
+        assert.equal(typeof data, 'string', 'messages are not sent as json without a codec');
+    });
+
+    parser.decoder.call(spark, toBuffer([0]), function(err) {
+        assert.ok(err, 'binary data was accepted without a codec');
+    });
+
+    spark.codec = codec;
+
+    parser.encoder.call(spark, {emit: ['game.sync', delta]}, function(err, data) {
+        assert.ifError(err);
+        assert.ok(Buffer.isBuffer(data), 'messages are not sent as binary with a codec');
+
+        parser.decoder.call(spark, data, function(err, message) {
+            assert.ifError(err);
+            assert.deepEqual(message, {emit: ['game.sync', delta]});
+        });
+    });
+
+    // json is still accepted, the client sends its protocol choice as json
+    parser.decoder.call(spark, '{"emit":["client.ready"]}', function(err, message) {
+        assert.ifError(err);
+        assert.deepEqual(message, {emit: ['client.ready']});
+    });
+
+    parser.decoder.call(spark, toBuffer([8, 1]), function(err) {
+        assert.ok(err, 'truncated binary data was accepted');
+    });
+})();
+
+console.log('all checks passed');